@@ -1,5 +1,7 @@
+import { parseArgs } from 'util';
 import { config, validateConfig } from './src/config.js';
 import { PairMonitorV2Service } from './src/services/pairMonitorV2.js';
+import { BackfillService } from './src/services/backfill.js';
 
 /**
  * DEX Pair Scanner v2.0.0 - Main Entry Point
@@ -24,6 +26,12 @@ import { PairMonitorV2Service } from './src/services/pairMonitorV2.js';
  * - RPC_TERTIARY_URL (for additional redundancy)
  * - REDIS_URL (for enhanced caching)
  * - MIN_LIQUIDITY_EARLY, MIN_VOLUME_EARLY, etc. (tier thresholds)
+ * 
+ * Commands:
+ * - node index.js                                  Run the scanner
+ * - node index.js backfill --from <block> --to <block> [--out report.json]
+ *                                                  Replay a past block range without
+ *                                                  sending alerts and write a JSON report
  */
 
 async function main() {
@@ -154,7 +162,7 @@ async function main() {
     }
     
     if (error.message.includes('factory contract')) {
-      console.error('\n💡 TIP: Check your CHAIN_ID and FACTORY_ADDRESS configuration');
+      console.error('\n💡 TIP: Check your CHAIN_ID and FACTORIES / FACTORY_ADDRESS configuration');
       console.error('   For BSC (CHAIN_ID=56): 0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73');
     }
     
@@ -177,12 +185,54 @@ async function main() {
   }
 }
 
+/**
+ * Replay a past block range through the pipeline (no Telegram alerts)
+ */
+async function backfill(args) {
+  try {
+    const { values } = parseArgs({
+      args,
+      options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        out: { type: 'string' },
+      },
+    });
+
+    if (!values.from || !values.to) {
+      throw new Error('Usage: node index.js backfill --from <block> --to <block> [--out report.json]');
+    }
+
+    console.log('⚙️  Validating configuration...');
+    validateConfig({ requireTelegram: false });
+
+    const service = new BackfillService({
+      fromBlock: Number(values.from),
+      toBlock: Number(values.to),
+      outputFile: values.out,
+    });
+    await service.run();
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
 // ========================================
 // START APPLICATION
 // ========================================
-console.log('🔄 Starting DEX Pair Scanner v2.0.0...\n');
+const [command, ...commandArgs] = process.argv.slice(2);
+
+if (command === 'backfill') {
+  console.log('🔄 Starting DEX Pair Scanner v2.0.0 (backfill)...\n');
+  backfill(commandArgs);
+} else {
+  console.log('🔄 Starting DEX Pair Scanner v2.0.0...\n');
 
-main().catch(error => {
-  console.error('❌ Unhandled error in main():', error);
-  process.exit(1);
-});
+  main().catch(error => {
+    console.error('❌ Unhandled error in main():', error);
+    process.exit(1);
+  });
+}
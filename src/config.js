@@ -1,16 +1,161 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 
 dotenv.config();
 
-// Default factory addresses for different chains
+// Default DEX factories for different chains
+// Factory flavors (type):
+// - 'v2': Uniswap V2 PairCreated
+// - 'v3': Uniswap V3 PoolCreated (concentrated liquidity)
+// - 'solidly': Solidly/Velodrome-style PairCreated with a stable/volatile flag
+// The first entry is the chain's main DEX
 const DEFAULT_FACTORIES = {
-  1: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',    // Ethereum Mainnet - Uniswap V2
-  56: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',   // BSC - PancakeSwap V2
-  137: '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32',  // Polygon - QuickSwap
-  42161: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4', // Arbitrum - SushiSwap
+  // Ethereum Mainnet
+  1: [
+    { type: 'v2', name: 'Uniswap V2', address: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f', router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', swapUrl: 'https://app.uniswap.org/#/swap?outputCurrency=' },
+    { type: 'v2', name: 'SushiSwap', address: '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac', router: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F', swapUrl: 'https://www.sushi.com/swap?token1=' },
+    { type: 'v3', name: 'Uniswap V3', address: '0x1F98431c8aD98523631AE4a59f267346ea31F984', router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', swapUrl: 'https://app.uniswap.org/#/swap?outputCurrency=' },
+  ],
+  // BSC
+  56: [
+    { type: 'v2', name: 'PancakeSwap V2', address: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73', router: '0x10ED43C718714eb63d5aA57B78B54704E256024E', swapUrl: 'https://pancakeswap.finance/swap?outputCurrency=' },
+    { type: 'v2', name: 'BiSwap', address: '0x858E3312ed3A876947EA49d572A7C42DE08af7EE', router: '0x3a6d8cA21D1CF76F653A67577FA0D27453350dD8', swapUrl: 'https://exchange.biswap.org/#/swap?outputCurrency=' },
+    { type: 'v2', name: 'ApeSwap', address: '0x0841BD0B734E4F5853f0dD8d7Ea041c241fb0Da6', router: '0xcF0feBd3f17CEf5b47b0cD257aCf6025c5BFf3b7', swapUrl: 'https://apeswap.finance/swap?outputCurrency=' },
+    { type: 'v2', name: 'BabySwap', address: '0x86407bEa2078ea5f5EB5A52B2caA963bC1F889Da', router: '0x325E343f1dE602396E256B67eFd1F61C3A6B38Bd', swapUrl: 'https://exchange.babyswap.finance/#/swap?outputCurrency=' },
+    { type: 'v3', name: 'PancakeSwap V3', address: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865', router: '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4', swapUrl: 'https://pancakeswap.finance/swap?outputCurrency=' },
+    { type: 'v3', name: 'Uniswap V3', address: '0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7', router: '0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2', swapUrl: 'https://app.uniswap.org/#/swap?chain=bnb&outputCurrency=' },
+    { type: 'solidly', name: 'Thena', address: '0xAFD89d21BdB66d00817d4153E055830B1c2B3970', router: '0xd4ae6eCA985340Dd434D38F470aCCce4DC78D109', swapUrl: 'https://thena.fi/swap?outputCurrency=' },
+  ],
+  // Polygon
+  137: [
+    { type: 'v2', name: 'QuickSwap', address: '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32', router: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff', swapUrl: 'https://quickswap.exchange/#/swap?outputCurrency=' },
+    { type: 'v2', name: 'SushiSwap', address: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', swapUrl: 'https://www.sushi.com/swap?chainId=137&token1=' },
+    { type: 'v3', name: 'Uniswap V3', address: '0x1F98431c8aD98523631AE4a59f267346ea31F984', router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', swapUrl: 'https://app.uniswap.org/#/swap?chain=polygon&outputCurrency=' },
+  ],
+  // Arbitrum
+  42161: [
+    { type: 'v2', name: 'SushiSwap', address: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4', router: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506', swapUrl: 'https://www.sushi.com/swap?chainId=42161&token1=' },
+    { type: 'v2', name: 'Camelot', address: '0x6EcCab422D763aC031210895C81787E87B43A652', router: '0xc873fEcbd354f5A56E00E710B90EF4201db2448d', swapUrl: 'https://app.camelot.exchange/?token2=' },
+    { type: 'v3', name: 'Uniswap V3', address: '0x1F98431c8aD98523631AE4a59f267346ea31F984', router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', swapUrl: 'https://app.uniswap.org/#/swap?chain=arbitrum&outputCurrency=' },
+    { type: 'solidly', name: 'Ramses', address: '0xAAA20D08e59F6561f242b08513D36266C5A29415', router: '0xAAA87963EFeB6f7E0a2711F397663105Acb1805e', swapUrl: 'https://app.ramses.exchange/swap?outputCurrency=' },
+  ],
+};
+
+const FACTORY_TYPES = ['v2', 'v3', 'solidly'];
+
+// Chainlink USD price feeds per chain: the native token and stablecoins
+// (keyed by the symbol used in the price cache)
+const DEFAULT_CHAINLINK_FEEDS = {
+  // Ethereum Mainnet
+  1: {
+    native: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', // ETH / USD
+    stables: {
+      USDC: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+      USDT: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D',
+      DAI: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9',
+    },
+  },
+  // BSC
+  56: {
+    native: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE', // BNB / USD
+    stables: {
+      USDT: '0xB97Ad0E74fa7d920791E90258A6E2085088b4320',
+      BUSD: '0xcBb98864Ef56E9042e7d2efef76141f15731B82f',
+      USDC: '0x51597f405303C4377E36123cBc172b13269EA163',
+    },
+  },
+  // Polygon
+  137: {
+    native: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', // MATIC / USD
+    stables: {
+      USDC: '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7',
+      USDT: '0x0A6513e40db6EB1b165753AD52E80663aeA50545',
+      DAI: '0x4746DeC9e833A82EC7C2C1356372CcF2cfcD2F3D',
+    },
+  },
+  // Arbitrum
+  42161: {
+    native: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', // ETH / USD
+    stables: {
+      USDC: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3',
+      USDT: '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7',
+      DAI: '0xc5C8E77B397E531B8EC06BFb0048328B30E9eCfB',
+    },
+  },
+};
+
+// Wrapped native token and deep wrapped-native/USD-stable V2 pools per chain,
+// used to price the native token on-chain
+const DEFAULT_REFERENCE_POOLS = {
+  // Ethereum Mainnet (Uniswap V2)
+  1: {
+    wrappedNative: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    pools: [
+      { name: 'Uniswap V2 WETH/USDC', address: '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc' },
+      { name: 'Uniswap V2 WETH/USDT', address: '0x0d4a11d5EEaaC28EC3F61d100daF4d40471f1852' },
+      { name: 'Uniswap V2 WETH/DAI', address: '0xA478c2975Ab1Ea89e8196811F51A7B7Ade33eB11' },
+    ],
+  },
+  // BSC (PancakeSwap V2)
+  56: {
+    wrappedNative: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+    pools: [
+      { name: 'PancakeSwap WBNB/USDT', address: '0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE' },
+      { name: 'PancakeSwap WBNB/BUSD', address: '0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16' },
+      { name: 'PancakeSwap WBNB/USDC', address: '0xd99c7F6C65857AC913a8f880A4cb84032AB2FC5b' },
+    ],
+  },
+  // Polygon (QuickSwap)
+  137: {
+    wrappedNative: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+    pools: [
+      { name: 'QuickSwap WMATIC/USDC', address: '0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827' },
+      { name: 'QuickSwap WMATIC/USDT', address: '0x604229c960e5CACF2aaEAc8Be68Ac07BA9dF81c3' },
+    ],
+  },
+  // Arbitrum (SushiSwap, Camelot)
+  42161: {
+    wrappedNative: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+    pools: [
+      { name: 'SushiSwap WETH/USDC', address: '0x905dfCD5649217c42684f23958568e533C711Aa3' },
+      { name: 'Camelot WETH/USDC', address: '0x84652bb2539513BAf36e225c930Fdd8eaa63CE27' },
+    ],
+  },
+};
+
+// USD stablecoins priced at $1 (or their Chainlink feed, matched by symbol)
+// per chain; the wrapped native token comes from DEFAULT_REFERENCE_POOLS
+const DEFAULT_STABLECOINS = {
+  // Ethereum Mainnet
+  1: {
+    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': { symbol: 'USDC', decimals: 6 },
+    '0xdAC17F958D2ee523a2206206994597C13D831ec7': { symbol: 'USDT', decimals: 6 },
+    '0x6B175474E89094C44Da98b954EedeAC495271d0F': { symbol: 'DAI', decimals: 18 },
+  },
+  // BSC
+  56: {
+    '0x55d398326f99059fF775485246999027B3197955': { symbol: 'USDT', decimals: 18 },
+    '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56': { symbol: 'BUSD', decimals: 18 },
+    '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d': { symbol: 'USDC', decimals: 18 },
+  },
+  // Polygon (native USDC and bridged USDC.e)
+  137: {
+    '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359': { symbol: 'USDC', decimals: 6 },
+    '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174': { symbol: 'USDC', decimals: 6 },
+    '0xc2132D05D31c914a87C6611C10748AEb04B58e8F': { symbol: 'USDT', decimals: 6 },
+    '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063': { symbol: 'DAI', decimals: 18 },
+  },
+  // Arbitrum (native USDC and bridged USDC.e)
+  42161: {
+    '0xaf88d065e77c8cC2239327C5EDb3A432268e5831': { symbol: 'USDC', decimals: 6 },
+    '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8': { symbol: 'USDC', decimals: 6 },
+    '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9': { symbol: 'USDT', decimals: 6 },
+    '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1': { symbol: 'DAI', decimals: 18 },
+  },
 };
 
 const chainId = parseInt(process.env.CHAIN_ID || '1', 10);
+const factories = getFactories(chainId);
 
 export const config = {
   chainId,
@@ -21,10 +166,14 @@ export const config = {
     apiUrl: process.env.ETHERSCAN_API_URL || getDefaultExplorerUrl(chainId),
   },
   
+  // Primary factory (used by the V1 monitor)
   factory: {
-    address: process.env.FACTORY_ADDRESS || DEFAULT_FACTORIES[chainId] || DEFAULT_FACTORIES[1],
+    address: factories[0].address,
   },
   
+  // All factories monitored by the V2 monitor
+  factories,
+  
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     
@@ -36,6 +185,9 @@ export const config = {
     
     // Legacy fallback for backward compatibility
     chatId: process.env.TELEGRAM_CHAT_ID || process.env.TELEGRAM_CHAT_ID_VIP,
+    
+    // Admin chat - operational notices (RPC circuit changes), optional
+    adminChatId: process.env.TELEGRAM_CHAT_ID_ADMIN || null,
   },
   
   liquidity: {
@@ -53,6 +205,25 @@ export const config = {
     updateInterval: parseInt(process.env.PRICE_UPDATE_INTERVAL || '300000', 10),
     // Cache TTL in seconds (default: 60s for V2)
     ttl: parseInt(process.env.PRICE_CACHE_TTL || '60', 10),
+    // Stablecoins that pairs are priced against (address → { symbol, decimals })
+    stablecoins: DEFAULT_STABLECOINS[chainId] || {},
+    // Native token price from reference pool reserves (primary source)
+    onChain: {
+      enabled: process.env.PRICE_ONCHAIN_ENABLED !== 'false', // enabled by default
+      ...getReferencePools(chainId),
+      // Pools with less USD on the stable side are ignored
+      minPoolLiquidity: parseInt(process.env.PRICE_MIN_POOL_LIQUIDITY || '100000', 10),
+      // HTTP price further off than this (fraction) is reported as a deviation
+      maxDeviation: parseFloat(process.env.PRICE_MAX_DEVIATION || '0.05'),
+    },
+    // Chainlink feeds (authoritative when fresh)
+    chainlink: {
+      enabled: process.env.CHAINLINK_ENABLED !== 'false', // enabled by default
+      ...getChainlinkFeeds(chainId),
+      // Answers older than this are stale (seconds); stablecoin feeds update less often
+      maxAge: parseInt(process.env.CHAINLINK_MAX_AGE || '3600', 10),
+      stableMaxAge: parseInt(process.env.CHAINLINK_STABLE_MAX_AGE || '86400', 10),
+    },
   },
   
   // Sprint 1: Redis configuration
@@ -65,8 +236,47 @@ export const config = {
     primaryUrl: process.env.RPC_URL || process.env.RPC_PRIMARY_URL,
     secondaryUrl: process.env.RPC_SECONDARY_URL || null,
     tertiaryUrl: process.env.RPC_TERTIARY_URL || null,
+    // Every endpoint with its options (see getRpcEndpoints)
+    endpoints: getRpcEndpoints(chainId),
+    // State reads older than this many blocks go to archive endpoints
+    archiveDepth: parseInt(process.env.RPC_ARCHIVE_DEPTH || '128', 10),
+    // WebSocket endpoint for PairCreated subscriptions (falls back to polling if unset)
+    wsUrl: process.env.RPC_WS_URL || null,
+    wsHeartbeatInterval: parseInt(process.env.RPC_WS_HEARTBEAT_INTERVAL || '30000', 10),
     healthCheckInterval: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL || '60000', 10),
     maxResponseTime: parseInt(process.env.RPC_MAX_RESPONSE_TIME || '5000', 10),
+    // Endpoints further behind the best head block are degraded
+    maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5', 10),
+    heightCheckInterval: parseInt(process.env.RPC_HEIGHT_CHECK_INTERVAL || '15000', 10),
+    // Endpoints that must agree on critical reads like getReserves (1 = off)
+    consensusQuorum: parseInt(process.env.RPC_CONSENSUS_QUORUM || '1', 10),
+    // Load balancing: priority | round-robin | latency | least-in-flight
+    strategy: process.env.RPC_STRATEGY || 'priority',
+    // Relative endpoint weights, in endpoint order (e.g. "3,1,1")
+    weights: parseNumberList(process.env.RPC_WEIGHTS),
+    // Per-endpoint requests/second and requests/day (0 = unlimited)
+    rateLimits: parseNumberList(process.env.RPC_RATE_LIMITS),
+    dailyBudgets: parseNumberList(process.env.RPC_DAILY_BUDGETS),
+    // First pause after a 429 / "limit exceeded" response (doubles on repeats)
+    rateLimitPenalty: parseInt(process.env.RPC_RATE_LIMIT_PENALTY || '1000', 10),
+    // Max requests per JSON-RPC batch (1 = no batching, for endpoints without support)
+    batchMaxCount: parseInt(process.env.RPC_BATCH_MAX_COUNT || '100', 10),
+    // Per-endpoint circuit breaker
+    circuit: {
+      errorThreshold: parseFloat(process.env.RPC_CIRCUIT_ERROR_RATE || '0.5'),
+      minRequests: parseInt(process.env.RPC_CIRCUIT_MIN_REQUESTS || '5', 10),
+      halfLife: parseInt(process.env.RPC_CIRCUIT_HALF_LIFE || '60000', 10),
+      coolDown: parseInt(process.env.RPC_CIRCUIT_COOL_DOWN || '30000', 10),
+      maxCoolDown: parseInt(process.env.RPC_CIRCUIT_MAX_COOL_DOWN || '600000', 10),
+    },
+  },
+  
+  // Multicall3 batching of view calls (token info, reserves, security checks)
+  multicall: {
+    enabled: process.env.MULTICALL_ENABLED !== 'false',
+    address: process.env.MULTICALL_ADDRESS || null, // Default: canonical Multicall3
+    maxBatchSize: parseInt(process.env.MULTICALL_MAX_BATCH || '50', 10),
+    batchWindow: parseInt(process.env.MULTICALL_BATCH_WINDOW || '10', 10),
   },
   
   // Sprint 1: Volume analysis configuration
@@ -85,10 +295,88 @@ export const config = {
     statsInterval: parseInt(process.env.STATS_INTERVAL || '3600000', 10), // 1 hour default
   },
   
+  // eth_getLogs chunking (adapts to RPC block-range limits)
+  logQuery: {
+    initialChunkSize: parseInt(process.env.LOG_CHUNK_SIZE || '2000', 10),
+    minChunkSize: parseInt(process.env.LOG_CHUNK_MIN || '10', 10),
+    maxChunkSize: parseInt(process.env.LOG_CHUNK_MAX || '5000', 10),
+  },
+  
+  // Re-checks for pairs filtered at detection (usually no liquidity yet)
+  reevaluation: {
+    // Minutes after detection, comma separated (default: +1, +5, +15, +60 min)
+    delays: (process.env.REEVAL_SCHEDULE || '1,5,15,60')
+      .split(',')
+      .map(minutes => parseFloat(minutes.trim()) * 60000)
+      .filter(delay => Number.isFinite(delay) && delay > 0)
+      .sort((a, b) => a - b),
+    checkInterval: parseInt(process.env.REEVAL_CHECK_INTERVAL || '30000', 10),
+  },
+  
+  // Pending launch detection from the mempool (optional, VIP only)
+  mempool: {
+    enabled: process.env.MEMPOOL_ENABLED === 'true',
+    // 'ws' (newPendingTransactions subscription) or 'txpool' (txpool_content polling)
+    mode: process.env.MEMPOOL_MODE || 'ws',
+    wsUrl: process.env.MEMPOOL_WS_URL || process.env.RPC_WS_URL || null,
+    pollInterval: parseInt(process.env.MEMPOOL_POLL_INTERVAL || '2000', 10),
+    fetchConcurrency: parseInt(process.env.MEMPOOL_FETCH_CONCURRENCY || '10', 10),
+    maxQueuedFetches: parseInt(process.env.MEMPOOL_MAX_QUEUED || '500', 10),
+    // Minutes to wait for a pending launch to be mined before forgetting it
+    pendingTtl: parseFloat(process.env.MEMPOOL_PENDING_TTL || '10') * 60000,
+  },
+  
+  // Seen/alerted pair dedupe (Redis if REDIS_URL is set, else in-memory LRU)
+  dedupe: {
+    ttl: parseFloat(process.env.DEDUPE_TTL_HOURS || '24') * 3600000,
+    maxEntries: parseInt(process.env.DEDUPE_MAX_ENTRIES || '50000', 10),
+  },
+  
+  // Concurrent pair processing (max pairs in each stage at once)
+  pipeline: {
+    analysisConcurrency: parseInt(process.env.PIPELINE_ANALYSIS_CONCURRENCY || '4', 10),
+    enrichmentConcurrency: parseInt(process.env.PIPELINE_ENRICHMENT_CONCURRENCY || '2', 10),
+    alertConcurrency: parseInt(process.env.PIPELINE_ALERT_CONCURRENCY || '1', 10),
+  },
+  
+  // Analyze queued pairs as soon as their first liquidity lands
+  mintWatch: {
+    enabled: process.env.MINT_WATCH_ENABLED !== 'false',
+    interval: parseInt(process.env.MINT_WATCH_INTERVAL || '3000', 10),
+    maxBlockRange: parseInt(process.env.MINT_WATCH_MAX_RANGE || '500', 10),
+  },
+  
+  // Relaunch detection for unfunded/drained pairs (Sync events)
+  dormant: {
+    enabled: process.env.DORMANT_WATCH_ENABLED !== 'false',
+    interval: parseInt(process.env.DORMANT_WATCH_INTERVAL || '15000', 10),
+    maxBlockRange: parseInt(process.env.DORMANT_WATCH_MAX_RANGE || '500', 10),
+    maxPairs: parseInt(process.env.DORMANT_MAX_PAIRS || '5000', 10),
+    ttl: parseFloat(process.env.DORMANT_TTL_DAYS || '30') * 86400000,
+    drainRatio: parseFloat(process.env.DORMANT_DRAIN_RATIO || '0.01'),
+  },
+  
+  // Reorg protection
+  reorg: {
+    // Blocks behind head before a PairCreated log is processed
+    confirmations: parseInt(process.env.CONFIRMATIONS || '3', 10),
+    // How many recent blocks to keep hashes for when checking for reorgs
+    trackBlocks: parseInt(process.env.REORG_TRACK_BLOCKS || '200', 10),
+  },
+  
+  // Persistent block cursor (resume after restart)
+  cursor: {
+    stateFile: process.env.CURSOR_STATE_FILE || '.scanner-state.json',
+    // Max blocks to catch up on startup; older blocks are skipped (0 = no catch-up)
+    maxCatchUpBlocks: parseInt(process.env.MAX_CATCH_UP_BLOCKS || '5000', 10),
+  },
+  
   backoff: {
     maxRetries: parseInt(process.env.BACKOFF_MAX_RETRIES || '5', 10),
     initialDelay: parseInt(process.env.BACKOFF_INITIAL_DELAY || '1000', 10),
     maxDelay: parseInt(process.env.BACKOFF_MAX_DELAY || '60000', 10),
+    // Share of each delay that is randomized (0 = fixed delays, 1 = full jitter)
+    jitter: parseFloat(process.env.BACKOFF_JITTER || '0.5'),
   },
   
   features: {
@@ -97,6 +385,16 @@ export const config = {
   },
 };
 
+/**
+ * Parse a comma-separated list of numbers ("3,1,1"); empty entries are skipped
+ */
+function parseNumberList(value) {
+  return (value || '')
+    .split(',')
+    .filter(entry => entry.trim() !== '')
+    .map(entry => parseFloat(entry));
+}
+
 function getDefaultRpcUrl(chainId) {
   const rpcUrls = {
     1: 'https://eth.llamarpc.com',
@@ -129,6 +427,16 @@ function getExplorerBaseUrl(chainId) {
   return explorerBaseUrls[chainId] || explorerBaseUrls[1];
 }
 
+function getNativeSymbol(chainId) {
+  const nativeSymbols = {
+    1: 'ETH',
+    56: 'BNB',
+    137: 'MATIC',
+    42161: 'ETH',
+  };
+  return nativeSymbols[chainId] || nativeSymbols[1];
+}
+
 function getDexBaseUrl(chainId) {
   const dexUrls = {
     1: 'https://app.uniswap.org',
@@ -139,9 +447,216 @@ function getDexBaseUrl(chainId) {
   return dexUrls[chainId] || dexUrls[1];
 }
 
-export { getExplorerBaseUrl, getDexBaseUrl };
+/**
+ * Resolve the list of RPC endpoints, in priority order
+ * 
+ * Priority: RPC_ENDPOINTS_FILE (JSON) → RPC_URLS (comma-separated)
+ * → RPC_URL / RPC_PRIMARY_URL, RPC_SECONDARY_URL, RPC_TERTIARY_URL → chain default
+ * 
+ * File entries are objects: { url, name, weight, timeout, rateLimit,
+ * dailyBudget, headers, apiKey, apiKeyHeader, archive }. "${VAR}" in any
+ * string is replaced with the environment variable, so keys can stay out
+ * of the file. RPC_WEIGHTS, RPC_RATE_LIMITS and RPC_DAILY_BUDGETS fill in
+ * options an endpoint doesn't set, by position.
+ */
+function getRpcEndpoints(chainId) {
+  let entries;
+
+  if (process.env.RPC_ENDPOINTS_FILE) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(process.env.RPC_ENDPOINTS_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`RPC_ENDPOINTS_FILE could not be read: ${error.message}`);
+    }
+
+    entries = Array.isArray(parsed) ? parsed : parsed.endpoints;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('RPC_ENDPOINTS_FILE must contain a non-empty array of endpoints');
+    }
+    entries = entries.map(entry => interpolateEnv(typeof entry === 'string' ? { url: entry } : entry));
+  } else if (process.env.RPC_URLS) {
+    entries = process.env.RPC_URLS
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+      .map(url => ({ url }));
+  } else {
+    entries = [
+      process.env.RPC_URL || process.env.RPC_PRIMARY_URL || getDefaultRpcUrl(chainId),
+      process.env.RPC_SECONDARY_URL,
+      process.env.RPC_TERTIARY_URL,
+    ].filter(Boolean).map(url => ({ url }));
+  }
+
+  const weights = parseNumberList(process.env.RPC_WEIGHTS);
+  const rateLimits = parseNumberList(process.env.RPC_RATE_LIMITS);
+  const dailyBudgets = parseNumberList(process.env.RPC_DAILY_BUDGETS);
+
+  return entries.map((entry, index) => {
+    if (!entry.url) {
+      throw new Error(`RPC endpoint ${index} is missing "url"`);
+    }
+
+    let url = entry.url;
+    const headers = { ...entry.headers };
+
+    // API key: substituted into "{apiKey}" in the URL, otherwise sent as a header
+    if (entry.apiKey) {
+      if (url.includes('{apiKey}')) {
+        url = url.replace('{apiKey}', encodeURIComponent(entry.apiKey));
+      } else {
+        headers[entry.apiKeyHeader || 'x-api-key'] = entry.apiKey;
+      }
+    }
+
+    let name = entry.name;
+    if (!name) {
+      try {
+        name = new URL(url).host;
+      } catch (error) {
+        throw new Error(`RPC endpoint ${index} has an invalid url`);
+      }
+    }
+
+    return {
+      url,
+      name,
+      weight: entry.weight ?? weights[index] ?? 1,
+      timeout: entry.timeout ?? null, // Falls back to RPC_MAX_RESPONSE_TIME
+      rateLimit: entry.rateLimit ?? rateLimits[index] ?? 0,
+      dailyBudget: entry.dailyBudget ?? dailyBudgets[index] ?? 0,
+      headers,
+      archive: entry.archive === true,
+    };
+  });
+}
+
+/**
+ * Replace "${VAR}" in every string of an object with process.env.VAR
+ */
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, interpolateEnv(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Resolve the Chainlink feeds to read
+ * 
+ * CHAINLINK_NATIVE_FEED and CHAINLINK_STABLE_FEEDS ("USDT:0x...,USDC:0x...")
+ * override the chain defaults.
+ */
+function getChainlinkFeeds(chainId) {
+  const defaults = DEFAULT_CHAINLINK_FEEDS[chainId] || { native: null, stables: {} };
+
+  const stables = process.env.CHAINLINK_STABLE_FEEDS
+    ? Object.fromEntries(process.env.CHAINLINK_STABLE_FEEDS
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([symbol, address]) => symbol && address)
+      .map(([symbol, address]) => [symbol.toUpperCase(), address]))
+    : defaults.stables;
+
+  return {
+    nativeFeed: process.env.CHAINLINK_NATIVE_FEED || defaults.native,
+    stableFeeds: stables,
+  };
+}
+
+/**
+ * Resolve the wrapped native token and its reference pools
+ * 
+ * PRICE_REFERENCE_POOLS (comma-separated pair addresses) and
+ * WRAPPED_NATIVE_ADDRESS override the chain defaults. Each pool must pair
+ * the wrapped native token with a USD stablecoin.
+ */
+function getReferencePools(chainId) {
+  const defaults = DEFAULT_REFERENCE_POOLS[chainId] || { wrappedNative: null, pools: [] };
+
+  const pools = process.env.PRICE_REFERENCE_POOLS
+    ? process.env.PRICE_REFERENCE_POOLS
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean)
+      .map((address, index) => ({ name: `Reference pool ${index + 1}`, address }))
+    : defaults.pools;
+
+  return {
+    wrappedNative: process.env.WRAPPED_NATIVE_ADDRESS || defaults.wrappedNative,
+    pools,
+  };
+}
+
+/**
+ * Resolve the list of DEX factories to monitor
+ * 
+ * Priority: FACTORIES (JSON array) → FACTORY_ADDRESS (single factory) → chain defaults
+ */
+function getFactories(chainId) {
+  const defaults = DEFAULT_FACTORIES[chainId] || DEFAULT_FACTORIES[1];
+  const defaultSwapUrl = `${getDexBaseUrl(chainId)}/#/swap?outputCurrency=`;
+
+  if (process.env.FACTORIES) {
+    let parsed;
+    try {
+      parsed = JSON.parse(process.env.FACTORIES);
+    } catch (error) {
+      throw new Error(`FACTORIES is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error('FACTORIES must be a non-empty JSON array');
+    }
+
+    return parsed.map((factory, index) => {
+      if (!factory.address) {
+        throw new Error(`FACTORIES[${index}] is missing "address"`);
+      }
+      if (factory.type && !FACTORY_TYPES.includes(factory.type)) {
+        throw new Error(`FACTORIES[${index}] has unknown type "${factory.type}" (expected ${FACTORY_TYPES.join(', ')})`);
+      }
+      return {
+        type: factory.type || 'v2',
+        name: factory.name || `DEX ${index + 1}`,
+        address: factory.address,
+        router: factory.router || null,
+        swapUrl: factory.swapUrl || defaultSwapUrl,
+      };
+    });
+  }
+
+  if (process.env.FACTORY_ADDRESS) {
+    const type = process.env.FACTORY_TYPE || 'v2';
+    if (!FACTORY_TYPES.includes(type)) {
+      throw new Error(`FACTORY_TYPE has unknown type "${type}" (expected ${FACTORY_TYPES.join(', ')})`);
+    }
+
+    const known = defaults.find(
+      factory => factory.address.toLowerCase() === process.env.FACTORY_ADDRESS.toLowerCase()
+    );
+    return [known || {
+      type,
+      name: process.env.FACTORY_NAME || 'Custom DEX',
+      address: process.env.FACTORY_ADDRESS,
+      router: null,
+      swapUrl: defaultSwapUrl,
+    }];
+  }
+
+  return defaults;
+}
+
+export { getExplorerBaseUrl, getDexBaseUrl, getNativeSymbol };
 
-export function validateConfig() {
+export function validateConfig({ requireTelegram = true } = {}) {
   const errors = [];
   const warnings = [];
   
@@ -149,17 +664,17 @@ export function validateConfig() {
     errors.push('ETHERSCAN_API_KEY is required');
   }
   
-  if (!config.telegram.botToken) {
+  if (requireTelegram && !config.telegram.botToken) {
     errors.push('TELEGRAM_BOT_TOKEN is required');
   }
   
   // Check if at least one Telegram channel is configured
-  if (!config.telegram.vipChatId && !config.telegram.publicChatId && !config.telegram.chatId) {
+  if (requireTelegram && !config.telegram.vipChatId && !config.telegram.publicChatId && !config.telegram.chatId) {
     errors.push('At least one Telegram channel is required (TELEGRAM_CHAT_ID_VIP or TELEGRAM_CHAT_ID_PUBLIC or TELEGRAM_CHAT_ID)');
   }
   
-  if (config.chainId !== 1 && !process.env.FACTORY_ADDRESS) {
-    warnings.push(`Using default factory address for chain ${config.chainId}. Please verify this is correct.`);
+  if (!DEFAULT_FACTORIES[config.chainId] && !process.env.FACTORY_ADDRESS && !process.env.FACTORIES) {
+    warnings.push(`No default factories for chain ${config.chainId}, using Ethereum defaults. Set FACTORIES or FACTORY_ADDRESS.`);
   }
   
   if (!process.env.RPC_URL) {
@@ -169,7 +684,8 @@ export function validateConfig() {
   console.log('\n📋 Configuration Summary:');
   console.log(`   Chain ID: ${config.chainId}`);
   console.log(`   RPC URL: ${config.rpcUrl}`);
-  console.log(`   Factory Address: ${config.factory.address}`);
+  console.log(`   Factories (${config.factories.length}):`);
+  config.factories.forEach(factory => console.log(`      • ${factory.name} (${factory.type}): ${factory.address}`));
   console.log(`   Explorer API: ${config.etherscan.apiUrl} (V2 - future-proof)`);
   console.log(`   Poll Interval: ${config.monitoring.pollInterval}ms`);
   console.log(`   Event Poll Interval: ${config.monitoring.eventPollInterval}ms`);
@@ -1,5 +1,13 @@
 import { config } from '../config.js';
 import { withBackoff } from '../utils/backoff.js';
+import { ClassifiedError, ErrorClass, httpError } from '../utils/errors.js';
+
+// Etherscan "NOTOK" results by error class (anything else is transient)
+const NOTOK_CLASSES = [
+  { pattern: /rate limit|max calls per sec/i, errorClass: ErrorClass.RATE_LIMITED, retryAfter: 1000 },
+  { pattern: /invalid api ?key|missing.*api ?key|banned|not supported for this chain/i, errorClass: ErrorClass.FATAL },
+  { pattern: /invalid|not verified|no data found|no records found|no transactions found/i, errorClass: ErrorClass.BAD_INPUT },
+];
 
 export class EtherscanFamilyExplorer {
   constructor(options = {}) {
@@ -8,7 +16,7 @@ export class EtherscanFamilyExplorer {
     this.chainId = options.chainId || config.chainId;
   }
 
-  async getContractABI(address) {
+  async getContractABI(address, options = {}) {
     const params = new URLSearchParams({
       chainid: this.chainId.toString(),
       module: 'contract',
@@ -18,21 +26,21 @@ export class EtherscanFamilyExplorer {
     });
 
     return withBackoff(
-      async () => {
-        const response = await fetch(`${this.apiUrl}?${params}`);
-        const data = await response.json();
+      async ({ signal }) => {
+        const data = await this.request(params, signal);
 
         if (data.status === '0') {
-          throw new Error(data.result || 'Failed to fetch contract ABI');
+          throw explorerError(data.result || 'Failed to fetch contract ABI');
         }
 
         return JSON.parse(data.result);
       },
-      `Etherscan getContractABI(${address})`
+      `Etherscan getContractABI(${address})`,
+      options
     );
   }
 
-  async getContractSourceCode(address) {
+  async getContractSourceCode(address, options = {}) {
     const params = new URLSearchParams({
       chainid: this.chainId.toString(),
       module: 'contract',
@@ -42,21 +50,21 @@ export class EtherscanFamilyExplorer {
     });
 
     return withBackoff(
-      async () => {
-        const response = await fetch(`${this.apiUrl}?${params}`);
-        const data = await response.json();
+      async ({ signal }) => {
+        const data = await this.request(params, signal);
 
         if (data.status === '0') {
-          throw new Error(data.result || 'Failed to fetch contract source code');
+          throw explorerError(data.result || 'Failed to fetch contract source code');
         }
 
         return data.result[0];
       },
-      `Etherscan getContractSourceCode(${address})`
+      `Etherscan getContractSourceCode(${address})`,
+      options
     );
   }
 
-  async getContractCreation(addresses) {
+  async getContractCreation(addresses, options = {}) {
     const addressList = Array.isArray(addresses) ? addresses.join(',') : addresses;
     const params = new URLSearchParams({
       chainid: this.chainId.toString(),
@@ -67,21 +75,21 @@ export class EtherscanFamilyExplorer {
     });
 
     return withBackoff(
-      async () => {
-        const response = await fetch(`${this.apiUrl}?${params}`);
-        const data = await response.json();
+      async ({ signal }) => {
+        const data = await this.request(params, signal);
 
         if (data.status === '0') {
-          throw new Error(data.result || 'Failed to fetch contract creation');
+          throw explorerError(data.result || 'Failed to fetch contract creation');
         }
 
         return data.result;
       },
-      `Etherscan getContractCreation(${addressList})`
+      `Etherscan getContractCreation(${addressList})`,
+      options
     );
   }
 
-  async getTransactionReceipt(txHash) {
+  async getTransactionReceipt(txHash, options = {}) {
     const params = new URLSearchParams({
       chainid: this.chainId.toString(),
       module: 'proxy',
@@ -91,17 +99,45 @@ export class EtherscanFamilyExplorer {
     });
 
     return withBackoff(
-      async () => {
-        const response = await fetch(`${this.apiUrl}?${params}`);
-        const data = await response.json();
+      async ({ signal }) => {
+        const data = await this.request(params, signal);
 
         if (data.error) {
-          throw new Error(data.error.message || 'Failed to fetch transaction receipt');
+          throw explorerError(data.error.message || 'Failed to fetch transaction receipt');
+        }
+
+        // Proxy calls report API-level failures (e.g. rate limits) NOTOK-style
+        if (data.status === '0') {
+          throw explorerError(data.result || 'Failed to fetch transaction receipt');
         }
 
         return data.result;
       },
-      `Etherscan getTransactionReceipt(${txHash})`
+      `Etherscan getTransactionReceipt(${txHash})`,
+      options
     );
   }
+
+  /**
+   * GET the API and parse the JSON body (non-2xx responses throw a
+   * classified error)
+   */
+  async request(params, signal) {
+    const response = await fetch(`${this.apiUrl}?${params}`, { signal });
+    if (!response.ok) {
+      throw httpError(response, 'Etherscan request');
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Classified error for an Etherscan error message
+ */
+function explorerError(message) {
+  const match = NOTOK_CLASSES.find(({ pattern }) => pattern.test(message));
+  return new ClassifiedError(message, {
+    errorClass: match?.errorClass || ErrorClass.TRANSIENT,
+    retryAfter: match?.retryAfter ?? null,
+  });
 }
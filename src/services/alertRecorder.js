@@ -0,0 +1,49 @@
+/**
+ * Alert Recorder Service
+ *
+ * Drop-in replacement for TelegramService that prints alerts to the console
+ * and keeps them in memory instead of sending them, for backfills and dry runs.
+ */
+export class AlertRecorderService {
+  constructor() {
+    this.alerts = [];
+    this.retractions = [];
+    this.errors = [];
+  }
+
+  initialize() {
+    console.log('✅ Alert recorder initialized (alerts are not sent to Telegram)');
+  }
+
+  async sendStartupMessage() {}
+
+  async sendPairCreated(pairData, channel = 'both') {
+    this.alerts.push({ channel, ...pairData });
+
+    console.log(`   📝 [ALERT → ${channel}] ${pairData.token0.symbol}/${pairData.token1.symbol} ` +
+      `${pairData.pairAddress} ${pairData.liquidityFormatted} ${pairData.securityChecks.shortFormat}`);
+  }
+
+  async sendPendingLaunch(launch) {
+    console.log(`   📝 [PENDING LAUNCH → vip] ${launch.tokenA.symbol}/${launch.tokenB.symbol} ${launch.txHash}`);
+  }
+
+  async sendPairOrphaned(pair, channel = 'both') {
+    this.retractions.push({ channel, ...pair });
+    console.log(`   📝 [RETRACTED → ${channel}] ${pair.pairAddress}`);
+  }
+
+  async sendCircuitTransition(transition) {
+    console.log(`   📝 [RPC → admin] [${transition.index}] ${transition.from} → ${transition.to} (${transition.reason})`);
+  }
+
+  async sendError(error) {
+    this.errors.push(error.message || error.toString());
+  }
+
+  async sendStatistics() {}
+
+  async sendShutdownMessage() {}
+
+  async shutdown() {}
+}
@@ -0,0 +1,109 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createRedisClient } from '../utils/redis.js';
+
+/**
+ * Block Cursor Service
+ *
+ * Persists the last fully processed block so a restarted worker resumes
+ * scanning where it stopped instead of jumping to the chain head.
+ *
+ * Storage:
+ * - Redis (when REDIS_URL is set)
+ * - Local JSON state file otherwise (or when Redis is unreachable)
+ */
+export class BlockCursorService {
+  constructor(key = null) {
+    this.key = key || `scanner:cursor:${config.chainId}`;
+    this.stateFile = path.resolve(config.cursor?.stateFile || '.scanner-state.json');
+    this.redis = null;
+    this.redisAvailable = false;
+    this.lastSaved = null;
+  }
+
+  async initialize() {
+    console.log('📍 Initializing Block Cursor Service...');
+
+    this.redis = await createRedisClient(config.redis?.url, 'Cursor Redis');
+    this.redisAvailable = !!this.redis;
+
+    if (this.redisAvailable) {
+      console.log(`   ✅ Persisting cursor in Redis (${this.key})`);
+    } else {
+      console.log(`   📝 Persisting cursor in ${this.stateFile}`);
+    }
+  }
+
+  /**
+   * Load the last processed block, or null if none was stored
+   */
+  async load() {
+    try {
+      if (this.redisAvailable) {
+        const value = await this.redis.get(this.key);
+        return value !== null ? parseInt(value, 10) : null;
+      }
+
+      const state = await this.readStateFile();
+      const value = state[this.key]?.blockNumber;
+      return Number.isInteger(value) ? value : null;
+    } catch (error) {
+      console.warn('   ⚠️  Failed to load block cursor:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist the last fully processed block
+   */
+  async save(blockNumber) {
+    if (blockNumber === this.lastSaved) {
+      return;
+    }
+
+    try {
+      if (this.redisAvailable) {
+        await this.redis.set(this.key, blockNumber.toString());
+      } else {
+        const state = await this.readStateFile();
+        state[this.key] = { blockNumber, updatedAt: new Date().toISOString() };
+        await this.writeStateFile(state);
+      }
+      this.lastSaved = blockNumber;
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to save block cursor ${blockNumber}:`, error.message);
+    }
+  }
+
+  async readStateFile() {
+    try {
+      const content = await fs.readFile(this.stateFile, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async writeStateFile(state) {
+    // Write to a temp file and rename so a crash never leaves a truncated file
+    const tmpFile = `${this.stateFile}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
+    await fs.rename(tmpFile, this.stateFile);
+  }
+
+  async shutdown() {
+    if (this.redis) {
+      try {
+        await this.redis.quit();
+      } catch (error) {
+        console.warn('   ⚠️  Cursor Redis disconnect error:', error.message);
+      }
+      this.redis = null;
+      this.redisAvailable = false;
+    }
+  }
+}
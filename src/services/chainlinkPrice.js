@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getMulticall } from '../utils/multicall.js';
+
+// Chainlink AggregatorV3Interface
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function description() view returns (string)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+
+/**
+ * Chainlink Price Service
+ *
+ * Reads USD prices from Chainlink aggregators: the native token (BNB/ETH/
+ * MATIC) and stablecoins. An answer is only used when it is positive,
+ * complete (answeredInRound >= roundId) and no older than the feed's max
+ * age. Feed decimals are read once.
+ */
+export class ChainlinkPriceService {
+  /**
+   * @param {ethers.Provider} provider - Failover-aware ethers provider
+   * @param {Object} options - Overrides of config.priceCache.chainlink
+   */
+  constructor(provider, options = {}) {
+    const settings = { ...config.priceCache?.chainlink, ...options };
+
+    this.provider = provider;
+    this.multicall = getMulticall(provider);
+    this.nativeFeed = settings.nativeFeed || null;
+    this.stableFeeds = settings.stableFeeds || {};
+    this.maxAge = settings.maxAge ?? 3600;
+    this.stableMaxAge = settings.stableMaxAge ?? 86400;
+    this.feedInfo = new Map(); // address -> { decimals, description }
+  }
+
+  get feedCount() {
+    return (this.nativeFeed ? 1 : 0) + Object.keys(this.stableFeeds).length;
+  }
+
+  /**
+   * Native token price in USD
+   *
+   * @returns {Promise<{price: number, updatedAt: number, description: string}>}
+   * @throws If no feed is configured, or the answer is invalid or stale
+   */
+  async fetchNativePrice() {
+    if (!this.nativeFeed) {
+      throw new Error(`No Chainlink native feed configured for chain ${config.chainId}`);
+    }
+    return this.readFeed(this.nativeFeed, this.maxAge);
+  }
+
+  /**
+   * Prices of all stablecoin feeds that have a valid, fresh answer
+   *
+   * @returns {Promise<Object<string, number>>} Symbol → USD price
+   */
+  async fetchStablePrices() {
+    const entries = Object.entries(this.stableFeeds);
+    const results = await Promise.allSettled(
+      entries.map(([, address]) => this.readFeed(address, this.stableMaxAge))
+    );
+
+    const prices = {};
+    results.forEach((result, index) => {
+      const [symbol] = entries[index];
+      if (result.status === 'fulfilled') {
+        prices[symbol] = result.value.price;
+      } else {
+        console.warn(`   ⚠️  Chainlink ${symbol}/USD failed:`, result.reason?.message);
+      }
+    });
+    return prices;
+  }
+
+  /**
+   * Latest answer of one aggregator, scaled by its decimals
+   */
+  async readFeed(address, maxAge) {
+    const feed = new ethers.Contract(address, AGGREGATOR_ABI, this.provider);
+    const [info, round] = await Promise.all([
+      this.getFeedInfo(address, feed),
+      this.multicall.call(feed, 'latestRoundData'),
+    ]);
+
+    const [roundId, answer, , updatedAt, answeredInRound] = round;
+
+    if (answer <= 0n) {
+      throw new Error(`${info.description} returned a non-positive answer (${answer})`);
+    }
+    if (updatedAt === 0n || answeredInRound < roundId) {
+      throw new Error(`${info.description} round ${roundId} is incomplete`);
+    }
+
+    const age = Math.floor(Date.now() / 1000) - Number(updatedAt);
+    if (age > maxAge) {
+      throw new Error(`${info.description} is stale (updated ${age}s ago, max ${maxAge}s)`);
+    }
+
+    return {
+      price: Number(ethers.formatUnits(answer, info.decimals)),
+      updatedAt: Number(updatedAt),
+      description: info.description,
+    };
+  }
+
+  /**
+   * Feed decimals and description (never change for an aggregator proxy)
+   */
+  async getFeedInfo(address, feed) {
+    const key = address.toLowerCase();
+    if (!this.feedInfo.has(key)) {
+      const [decimals, description] = await Promise.all([
+        this.multicall.call(feed, 'decimals'),
+        this.multicall.call(feed, 'description').catch(() => address),
+      ]);
+      this.feedInfo.set(key, { decimals: Number(decimals), description: String(description) });
+    }
+    return this.feedInfo.get(key);
+  }
+}
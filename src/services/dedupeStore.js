@@ -0,0 +1,137 @@
+import { config } from '../config.js';
+import { createRedisClient } from '../utils/redis.js';
+
+/**
+ * Dedupe Store Service
+ *
+ * Remembers which pairs were already seen/alerted, keyed by chain + pair
+ * address, so restarts, catch-up scans and replicas don't alert twice.
+ * Entries expire after a TTL and each namespace is capped in size.
+ *
+ * Storage:
+ * - Redis sorted set per namespace (score = claim time) when REDIS_URL is
+ *   set; ZADD NX makes claims atomic across replicas
+ * - In-memory LRU Map otherwise
+ */
+export class DedupeStoreService {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.useRedis - false keeps the store private to this process
+   */
+  constructor(options = {}) {
+    this.useRedis = options.useRedis !== false;
+    this.ttl = config.dedupe?.ttl || 86400000;
+    this.maxEntries = config.dedupe?.maxEntries || 50000;
+    this.redis = null;
+    this.redisAvailable = false;
+    this.memoryStore = new Map(); // namespace:pairAddress -> claimedAt (oldest first)
+  }
+
+  async initialize() {
+    console.log('🧾 Initializing Dedupe Store...');
+
+    if (this.useRedis) {
+      this.redis = await createRedisClient(config.redis?.url, 'Dedupe Redis');
+    }
+    this.redisAvailable = !!this.redis;
+
+    const ttlHours = Math.round(this.ttl / 3600000);
+    if (this.redisAvailable) {
+      console.log(`   ✅ Using Redis (TTL ${ttlHours}h, max ${this.maxEntries} pairs)`);
+    } else {
+      console.log(`   📝 Using in-memory LRU (TTL ${ttlHours}h, max ${this.maxEntries} pairs, lost on restart)`);
+    }
+  }
+
+  getKey(namespace) {
+    return `scanner:dedupe:${config.chainId}:${namespace}`;
+  }
+
+  /**
+   * Atomically claim a pair in a namespace
+   *
+   * @param {string} namespace - e.g. 'seen', 'alerted'
+   * @param {string} pairAddress
+   * @returns {boolean} true if this call claimed it, false if already claimed
+   */
+  async claim(namespace, pairAddress) {
+    const member = pairAddress.toLowerCase();
+    const now = Date.now();
+
+    if (this.redisAvailable) {
+      try {
+        const key = this.getKey(namespace);
+        const results = await this.redis
+          .multi()
+          .zremrangebyscore(key, '-inf', now - this.ttl)
+          .zadd(key, 'NX', now, member)
+          .exec();
+
+        // exec() reports each command's failure as [error, result]
+        const [error, added] = results[1];
+        if (error) {
+          throw error;
+        }
+
+        if (added) {
+          // Keep only the newest entries
+          await this.redis.zremrangebyrank(key, 0, -(this.maxEntries + 1));
+        }
+        return added === 1;
+      } catch (error) {
+        console.warn(`   ⚠️  Dedupe store error for ${pairAddress}:`, error.message);
+      }
+    }
+
+    return this.claimInMemory(`${namespace}:${member}`, now);
+  }
+
+  claimInMemory(key, now) {
+    const claimedAt = this.memoryStore.get(key);
+    if (claimedAt !== undefined && now - claimedAt < this.ttl) {
+      // Refresh LRU position
+      this.memoryStore.delete(key);
+      this.memoryStore.set(key, claimedAt);
+      return false;
+    }
+
+    this.memoryStore.delete(key);
+    this.memoryStore.set(key, now);
+
+    // Evict least recently used entries beyond the cap
+    while (this.memoryStore.size > this.maxEntries) {
+      const oldest = this.memoryStore.keys().next().value;
+      this.memoryStore.delete(oldest);
+    }
+    return true;
+  }
+
+  /**
+   * Forget a claim (e.g. the pair was orphaned by a reorg)
+   */
+  async release(namespace, pairAddress) {
+    const member = pairAddress.toLowerCase();
+    this.memoryStore.delete(`${namespace}:${member}`);
+
+    if (this.redisAvailable) {
+      try {
+        await this.redis.zrem(this.getKey(namespace), member);
+      } catch (error) {
+        console.warn(`   ⚠️  Dedupe store delete error for ${pairAddress}:`, error.message);
+      }
+    }
+  }
+
+  async shutdown() {
+    if (this.redis) {
+      try {
+        await this.redis.quit();
+      } catch (error) {
+        console.warn('   ⚠️  Dedupe Redis disconnect error:', error.message);
+      }
+      this.redis = null;
+      this.redisAvailable = false;
+    }
+    this.memoryStore.clear();
+  }
+}
@@ -0,0 +1,337 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { createRedisClient } from '../utils/redis.js';
+import { ChunkedLogScanner } from '../utils/chunkedLogs.js';
+
+// Sync events of V2-style pairs (reserves after every change)
+const SYNC_TOPICS = [
+  ethers.id('Sync(uint112,uint112)'), // V2
+  ethers.id('Sync(uint256,uint256)'), // Solidly
+];
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Keep getLogs address lists within what public RPCs accept
+const ADDRESS_BATCH_SIZE = 100;
+
+/**
+ * Dormant Pair Watcher Service
+ *
+ * Follows Sync events of two kinds of V2-style pairs:
+ * - dormant: pairs without meaningful liquidity (never funded when their
+ *   re-checks ran out, or drained after launch). When their reserves grow
+ *   past the recorded baseline, the pair is reported as relaunched.
+ * - live: recently alerted pairs. When both reserves fall below
+ *   DORMANT_DRAIN_RATIO of their peak, the pair is marked dormant.
+ *
+ * Storage: Redis hash when REDIS_URL is set (survives restarts), in-memory
+ * Map otherwise. Entries expire after DORMANT_TTL_DAYS. With Redis the last
+ * polled block is stored next to the hash; the whole gap since the last
+ * poll (a restart or an RPC outage) is scanned in chunks, so no relaunch
+ * is skipped.
+ */
+export class DormantPairWatcherService {
+  constructor(provider) {
+    this.provider = provider;
+    this.interval = config.dormant?.interval || 15000;
+    this.maxRange = config.dormant?.maxBlockRange || 500;
+    this.maxPairs = config.dormant?.maxPairs || 5000;
+    this.ttl = config.dormant?.ttl || 30 * 86400000;
+    this.drainRatio = config.dormant?.drainRatio ?? 0.01;
+    this.key = `scanner:dormant:${config.chainId}`;
+    this.cursorKey = `${this.key}:lastBlock`;
+    this.redis = null;
+    this.redisAvailable = false;
+    this.pairs = new Map(); // pairAddress -> { state, event, baseline, peak, since }
+    this.logScanner = new ChunkedLogScanner({ maxChunkSize: this.maxRange });
+    this.lastBlock = null;
+    this.timer = null;
+    this.isPolling = false;
+    this.onRelaunch = null;
+  }
+
+  async initialize() {
+    console.log('💤 Initializing Dormant Pair Watcher...');
+
+    this.redis = await createRedisClient(config.redis?.url, 'Dormant Redis');
+    this.redisAvailable = !!this.redis;
+
+    if (this.redisAvailable) {
+      try {
+        const stored = await this.redis.hgetall(this.key);
+        for (const [pairAddress, value] of Object.entries(stored)) {
+          this.pairs.set(pairAddress, JSON.parse(value));
+        }
+
+        const lastBlock = await this.redis.get(this.cursorKey);
+        this.lastBlock = lastBlock !== null ? parseInt(lastBlock, 10) : null;
+      } catch (error) {
+        console.warn('   ⚠️  Could not load dormant pairs:', error.message);
+      }
+      console.log(`   ✅ Using Redis (${this.pairs.size} tracked pairs)`);
+    } else {
+      console.log('   📝 Using in-memory tracking (lost on restart)');
+    }
+  }
+
+  /**
+   * Start watching
+   *
+   * @param {Function} onRelaunch - async (entry, reserves, log) => void
+   */
+  async start(onRelaunch) {
+    this.onRelaunch = onRelaunch;
+
+    if (this.lastBlock === null) {
+      await this.advance(await this.provider.getBlockNumber());
+    } else {
+      console.log(`   📍 Dormant pair watcher resuming after block ${this.lastBlock}`);
+    }
+
+    console.log(`💤 Watching dormant and recently alerted pairs for relaunches (every ${this.interval / 1000}s)`);
+
+    this.timer = setInterval(() => this.poll(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Track a pair without meaningful liquidity (no-op if already tracked)
+   *
+   * @param {Object} event - Normalized PairCreated event
+   * @param {Object|null} reserves - { reserve0, reserve1 } to treat as negligible
+   */
+  async addDormant(event, reserves = null) {
+    const key = event.args.pair.toLowerCase();
+    if (event.poolType === 'v3' || this.pairs.has(key)) {
+      return;
+    }
+
+    await this.save(key, {
+      state: 'dormant',
+      event,
+      baseline: this.toReserves(reserves),
+      peak: null,
+      since: Date.now(),
+    });
+  }
+
+  /**
+   * Track an alerted pair so a later drain is noticed
+   */
+  async addLive(event, reserves) {
+    if (event.poolType === 'v3') {
+      return;
+    }
+
+    await this.save(event.args.pair.toLowerCase(), {
+      state: 'live',
+      event,
+      baseline: null,
+      peak: this.toReserves(reserves),
+      since: Date.now(),
+    });
+  }
+
+  async remove(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    this.pairs.delete(key);
+
+    if (this.redisAvailable) {
+      try {
+        await this.redis.hdel(this.key, key);
+      } catch (error) {
+        console.warn(`   ⚠️  Dormant pair delete error for ${pairAddress}:`, error.message);
+      }
+    }
+  }
+
+  async save(key, entry) {
+    this.pairs.set(key, entry);
+
+    // Evict the oldest entries beyond the cap
+    while (this.pairs.size > this.maxPairs) {
+      await this.remove(this.pairs.keys().next().value);
+    }
+
+    if (this.redisAvailable && this.pairs.has(key)) {
+      try {
+        await this.redis.hset(this.key, key, JSON.stringify(entry));
+      } catch (error) {
+        console.warn(`   ⚠️  Dormant pair write error for ${key}:`, error.message);
+      }
+    }
+  }
+
+  toReserves(reserves) {
+    if (!reserves) {
+      return null;
+    }
+    return {
+      reserve0: reserves.reserve0.toString(),
+      reserve1: reserves.reserve1.toString(),
+    };
+  }
+
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      await this.expire();
+
+      const headBlock = await this.provider.getBlockNumber();
+      if (headBlock <= this.lastBlock) {
+        return;
+      }
+
+      const addresses = [...this.pairs.keys()];
+      if (addresses.length === 0) {
+        await this.advance(headBlock);
+        return;
+      }
+
+      // Chunk by chunk, saving progress after each, so a failure part-way
+      // resumes where it stopped
+      await this.logScanner.scan(
+        this.lastBlock + 1,
+        headBlock,
+        (fromBlock, toBlock) => this.querySyncLogs(addresses, fromBlock, toBlock),
+        async (logs, fromBlock, toBlock) => {
+          // Logs are ordered per pair; keep the last Sync of each
+          const latestSync = new Map();
+          for (const log of logs) {
+            latestSync.set(log.address.toLowerCase(), log);
+          }
+
+          for (const [key, log] of latestSync.entries()) {
+            await this.handleSync(key, log);
+          }
+
+          await this.advance(toBlock);
+        }
+      );
+
+    } catch (error) {
+      console.warn('   ⚠️  Dormant pair watcher poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async querySyncLogs(addresses, fromBlock, toBlock) {
+    const logs = [];
+    for (let i = 0; i < addresses.length; i += ADDRESS_BATCH_SIZE) {
+      logs.push(...await this.provider.getLogs({
+        address: addresses.slice(i, i + ADDRESS_BATCH_SIZE),
+        topics: [SYNC_TOPICS],
+        fromBlock,
+        toBlock,
+      }));
+    }
+    return logs;
+  }
+
+  /**
+   * Record the last polled block
+   */
+  async advance(blockNumber) {
+    this.lastBlock = blockNumber;
+
+    if (this.redisAvailable) {
+      try {
+        await this.redis.set(this.cursorKey, blockNumber.toString());
+      } catch (error) {
+        console.warn(`   ⚠️  Dormant watcher cursor write error for block ${blockNumber}:`, error.message);
+      }
+    }
+  }
+
+  async handleSync(key, log) {
+    const entry = this.pairs.get(key);
+    if (!entry) {
+      return;
+    }
+
+    const [reserve0, reserve1] = abiCoder.decode(['uint256', 'uint256'], log.data);
+    const reserves = { reserve0, reserve1 };
+
+    if (entry.state === 'live') {
+      await this.checkDrain(key, entry, reserves);
+      return;
+    }
+
+    // Dormant: report when both reserves grow well past the baseline
+    const baseline0 = BigInt(entry.baseline?.reserve0 || 0);
+    const baseline1 = BigInt(entry.baseline?.reserve1 || 0);
+    if (reserve0 <= baseline0 * 2n || reserve1 <= baseline1 * 2n) {
+      return;
+    }
+
+    // Raise the baseline so ordinary activity on a still-small pair
+    // doesn't re-trigger on every Sync
+    await this.save(key, { ...entry, baseline: this.toReserves(reserves) });
+    await this.onRelaunch(entry, reserves, log);
+  }
+
+  async checkDrain(key, entry, reserves) {
+    const peak0 = BigInt(entry.peak?.reserve0 || 0);
+    const peak1 = BigInt(entry.peak?.reserve1 || 0);
+    const ratio = BigInt(Math.round(this.drainRatio * 10000));
+
+    const drained = reserves.reserve0 * 10000n < peak0 * ratio
+      && reserves.reserve1 * 10000n < peak1 * ratio;
+
+    if (drained) {
+      console.log(`\n🕳️  Pair ${entry.event.args.pair} drained, watching for a relaunch`);
+      await this.save(key, {
+        ...entry,
+        state: 'dormant',
+        baseline: this.toReserves(reserves),
+        since: Date.now(),
+      });
+      return;
+    }
+
+    if (reserves.reserve0 > peak0 || reserves.reserve1 > peak1) {
+      await this.save(key, {
+        ...entry,
+        peak: {
+          reserve0: (reserves.reserve0 > peak0 ? reserves.reserve0 : peak0).toString(),
+          reserve1: (reserves.reserve1 > peak1 ? reserves.reserve1 : peak1).toString(),
+        },
+      });
+    }
+  }
+
+  async expire() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [key, entry] of this.pairs.entries()) {
+      if (entry.since < cutoff) {
+        await this.remove(key);
+      }
+    }
+  }
+
+  async shutdown() {
+    this.stop();
+
+    if (this.redis) {
+      try {
+        await this.redis.quit();
+      } catch (error) {
+        console.warn('   ⚠️  Dormant Redis disconnect error:', error.message);
+      }
+      this.redis = null;
+      this.redisAvailable = false;
+    }
+    this.pairs.clear();
+  }
+}
@@ -0,0 +1,64 @@
+import { ethers } from 'ethers';
+
+/**
+ * Failover Provider
+ *
+ * ethers-compatible provider backed by MultiRPCProviderService. Every
+ * request (contract calls, logs, blocks, raw `send`) goes through
+ * executeWithFailover, so it gets the same endpoint selection, rate
+ * limiting, lag checks and failover as the service's own wrappers.
+ *
+ * Use it anywhere an ethers provider or Contract runner is expected.
+ */
+export class FailoverProvider extends ethers.AbstractProvider {
+  /**
+   * @param {MultiRPCProviderService} providerService - Initialized service
+   */
+  constructor(providerService) {
+    super(providerService.getNetwork());
+    this.providerService = providerService;
+  }
+
+  async _detectNetwork() {
+    return this.providerService.getNetwork();
+  }
+
+  /**
+   * Hand the normalized request to an endpoint's JsonRpcProvider
+   */
+  async _perform(req) {
+    // Head block goes through the lag-aware wrapper
+    if (req.method === 'getBlockNumber') {
+      return this.providerService.getBlockNumber();
+    }
+
+    const minBlock = getMinBlock(req);
+    return this.providerService.executeWithFailover(
+      provider => provider._perform(req),
+      req.method,
+      { minBlock, archive: this.providerService.needsArchive(req.method, minBlock) }
+    );
+  }
+
+  /**
+   * Raw JSON-RPC request (e.g. txpool_content), with failover
+   */
+  async send(method, params) {
+    return this.providerService.executeWithFailover(
+      provider => provider.send(method, params),
+      method
+    );
+  }
+}
+
+/**
+ * Block a request needs the endpoint to have reached (null for tags like
+ * "latest" and for requests without a block)
+ */
+function getMinBlock(req) {
+  const blockTag = req.method === 'getLogs' ? req.filter?.toBlock : req.blockTag;
+  if (typeof blockTag === 'string' && blockTag.startsWith('0x')) {
+    return parseInt(blockTag, 16);
+  }
+  return null;
+}
@@ -0,0 +1,267 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { ExplorerFactory } from '../explorers/explorerFactory.js';
+import { LP_LOCKERS } from './securityChecks.js';
+import { ROUTER_INTERFACES, parseLaunchCalldata } from '../utils/launchCalldata.js';
+import { ChunkedLogScanner } from '../utils/chunkedLogs.js';
+
+// Pool events emitted when liquidity is added
+const LIQUIDITY_LOG_ABI = [
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)', // V2 / Solidly
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)', // V3
+  'event Transfer(address indexed from, address indexed to, uint256 value)', // LP token
+];
+
+const liquidityLogInterface = new ethers.Interface(LIQUIDITY_LOG_ABI);
+const MINT_TOPICS = liquidityLogInterface.fragments
+  .filter(fragment => fragment.type === 'event' && fragment.name === 'Mint')
+  .map(fragment => fragment.topicHash);
+
+const BURN_ADDRESSES = [
+  ethers.ZeroAddress,
+  '0x000000000000000000000000000000000000dEaD',
+].map(address => address.toLowerCase());
+
+const LOCKER_ADDRESSES = LP_LOCKERS.map(address => address.toLowerCase());
+
+// V2 pairs lock the first 1000 LP wei at address(0) on the first mint
+const MINIMUM_LIQUIDITY = 1000n;
+
+// How far after creation to look for the first liquidity add
+const MINT_SEARCH_BLOCKS = 5000;
+
+/**
+ * Initial Liquidity Service
+ *
+ * Decodes the transaction that first added liquidity to a pair: who added
+ * it, the initial token amounts, the share of each token's supply put into
+ * the pool and where the LP tokens went (burned, locker, deployer, other).
+ *
+ * Receipts come from RPC, falling back to the block explorer.
+ */
+export class InitialLiquidityService {
+  constructor(providerService, factories = config.factories) {
+    this.providerService = providerService;
+    this.explorer = ExplorerFactory.getDefaultExplorer();
+    this.logScanner = new ChunkedLogScanner();
+    this.routers = new Map(
+      factories
+        .filter(factory => factory.router)
+        .map(factory => [factory.router.toLowerCase(), factory])
+    );
+  }
+
+  /**
+   * @param {Object} event - Normalized PairCreated event; if `launchTxHash`
+   *   (a liquidity add seen by the mint or dormant pair watcher) is set,
+   *   only that transaction is decoded
+   * @param {Object} token0Info - TokenService info (decimals, symbol, totalSupply)
+   * @param {Object} token1Info
+   * @returns {Object|null} null if no liquidity add was found
+   */
+  async analyze(event, token0Info, token1Info) {
+    const pairAddress = event.args.pair;
+
+    try {
+      let receipt = await this.getReceipt(event.launchTxHash || event.transactionHash);
+      let mint = receipt ? this.findMint(receipt, pairAddress) : null;
+
+      if (!mint && !event.launchTxHash) {
+        // Pair created first, liquidity added in a later transaction
+        const mintTxHash = await this.findFirstMintTx(pairAddress, event.blockNumber);
+        if (!mintTxHash) {
+          return null;
+        }
+        receipt = await this.getReceipt(mintTxHash);
+        mint = receipt ? this.findMint(receipt, pairAddress) : null;
+      }
+
+      if (!mint) {
+        return null;
+      }
+
+      const transaction = await this.providerService.getTransaction(receipt.hash);
+
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        addedBy: receipt.from,
+        action: this.decodeRouterAction(transaction),
+        amount0: ethers.formatUnits(mint.amount0, token0Info.decimals),
+        amount1: ethers.formatUnits(mint.amount1, token1Info.decimals),
+        supplyShare0: this.getSupplyShare(mint.amount0, token0Info.totalSupply),
+        supplyShare1: this.getSupplyShare(mint.amount1, token1Info.totalSupply),
+        // V3 positions are NFTs held by the position manager, not LP tokens
+        lpRecipients: event.poolType === 'v3' ? null : this.findLpRecipients(receipt, pairAddress),
+      };
+    } catch (error) {
+      console.warn(`   ⚠️  Could not decode initial liquidity for ${pairAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a receipt as { hash, blockNumber, from, to, logs }
+   */
+  async getReceipt(txHash) {
+    try {
+      const receipt = await this.providerService.getTransactionReceipt(txHash);
+      if (receipt) {
+        return {
+          hash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          from: receipt.from,
+          to: receipt.to,
+          logs: receipt.logs,
+        };
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  RPC receipt lookup failed for ${txHash}, trying explorer:`, error.message);
+    }
+
+    const receipt = await this.explorer.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return null;
+    }
+    return {
+      hash: receipt.transactionHash,
+      blockNumber: Number(receipt.blockNumber),
+      from: receipt.from,
+      to: receipt.to,
+      logs: receipt.logs,
+    };
+  }
+
+  /**
+   * Search forward from creation in chunks the RPC accepts, stopping at
+   * the first chunk with a Mint
+   */
+  async findFirstMintTx(pairAddress, fromBlock) {
+    const headBlock = await this.providerService.getBlockNumber();
+    let txHash = null;
+
+    await this.logScanner.scan(
+      fromBlock,
+      Math.min(fromBlock + MINT_SEARCH_BLOCKS, headBlock),
+      (from, to) => this.providerService.getLogs({
+        address: pairAddress,
+        topics: [MINT_TOPICS],
+        fromBlock: from,
+        toBlock: to,
+      }),
+      async (logs) => {
+        if (logs.length === 0) {
+          return true;
+        }
+        txHash = logs[0].transactionHash;
+        return false;
+      }
+    );
+
+    return txHash;
+  }
+
+  findMint(receipt, pairAddress) {
+    for (const log of this.parsePairLogs(receipt, pairAddress)) {
+      if (log.name === 'Mint') {
+        return { amount0: log.args.amount0, amount1: log.args.amount1 };
+      }
+    }
+    return null;
+  }
+
+  parsePairLogs(receipt, pairAddress) {
+    const parsed = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== pairAddress.toLowerCase()) {
+        continue;
+      }
+      try {
+        const description = liquidityLogInterface.parseLog({ topics: log.topics, data: log.data });
+        if (description) {
+          parsed.push(description);
+        }
+      } catch (error) {
+        // Other pair events (Sync, Swap, ...)
+      }
+    }
+    return parsed;
+  }
+
+  decodeRouterAction(transaction) {
+    if (!transaction?.to) {
+      return null;
+    }
+
+    const dex = this.routers.get(transaction.to.toLowerCase());
+    const iface = dex && ROUTER_INTERFACES[dex.type];
+    if (!iface) {
+      return null;
+    }
+
+    return parseLaunchCalldata(iface, transaction.data, transaction.value)?.name || null;
+  }
+
+  /**
+   * Where the LP tokens minted in this transaction ended up
+   *
+   * Follows LP transfers within the transaction (e.g. mint to deployer,
+   * then forward to a locker) and reports net receivers.
+   */
+  findLpRecipients(receipt, pairAddress) {
+    const balances = new Map();
+
+    for (const log of this.parsePairLogs(receipt, pairAddress)) {
+      if (log.name !== 'Transfer') {
+        continue;
+      }
+
+      const from = log.args.from.toLowerCase();
+      const to = log.args.to.toLowerCase();
+      const value = log.args.value;
+
+      if (from === ethers.ZeroAddress && to === ethers.ZeroAddress && value === MINIMUM_LIQUIDITY) {
+        continue;
+      }
+
+      if (from !== ethers.ZeroAddress) {
+        balances.set(from, (balances.get(from) || 0n) - value);
+      }
+      balances.set(to, (balances.get(to) || 0n) + value);
+    }
+
+    const received = [...balances.entries()].filter(([, value]) => value > 0n);
+    const total = received.reduce((sum, [, value]) => sum + value, 0n);
+    if (total === 0n) {
+      return [];
+    }
+
+    const deployer = receipt.from.toLowerCase();
+
+    return received
+      .map(([address, value]) => ({
+        address,
+        type: this.classifyLpRecipient(address, deployer),
+        share: Number((value * 10000n) / total) / 100,
+      }))
+      .sort((a, b) => b.share - a.share);
+  }
+
+  classifyLpRecipient(address, deployer) {
+    if (BURN_ADDRESSES.includes(address)) return 'burn';
+    if (LOCKER_ADDRESSES.includes(address)) return 'locker';
+    if (address === deployer) return 'deployer';
+    return 'other';
+  }
+
+  /**
+   * Percentage of the token's total supply put into the pool
+   */
+  getSupplyShare(amount, totalSupply) {
+    const supply = BigInt(totalSupply || 0);
+    if (supply === 0n) {
+      return null;
+    }
+    return Number((amount * 10000n) / supply) / 100;
+  }
+}
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { config } from '../config.js';
+import { getMulticall } from '../utils/multicall.js';
 
 /**
  * Liquidity Filter V2 Service - 3-Tier Alert System
@@ -20,6 +21,12 @@ import { config } from '../config.js';
  *    - Min $50k liquidity
  *    - Highest priority
  * 
+ * Pool types:
+ * - v2: constant-product pairs valued from getReserves()
+ * - v3: concentrated-liquidity pools valued from slot0 and pool token balances
+ * - solidly: Velodrome/Thena-style pairs; volatile pools are valued like v2,
+ *   stable pools (x³y + y³x curve) from the curve's spot price
+ * 
  * Sprint 1 - ~280 lines of code
  */
 
@@ -29,14 +36,39 @@ const PAIR_ABI = [
   'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
 ];
 
+const SOLIDLY_PAIR_ABI = [
+  ...PAIR_ABI,
+  'function stable() view returns (bool)',
+];
+
+const V3_POOL_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+];
+
 const ERC20_ABI = [
   'function balanceOf(address) view returns (uint256)',
   'function totalSupply() view returns (uint256)',
+  'function decimals() view returns (uint8)',
 ];
 
+const Q96 = 2 ** 96;
+
 export class LiquidityFilterV2Service {
-  constructor(provider, priceCacheService, volumeAnalyzerService) {
+  /**
+   * @param {Object} provider - ethers provider for contract reads
+   * @param {Object} priceCacheService
+   * @param {Object} volumeAnalyzerService
+   * @param {Object} providerService - Optional MultiRPCProviderService; reserves
+   *   are read through its consensus check when RPC_CONSENSUS_QUORUM > 1
+   */
+  constructor(provider, priceCacheService, volumeAnalyzerService, providerService = null) {
     this.provider = provider;
+    this.providerService = providerService;
+    this.multicall = getMulticall(provider); // Batches the per-pair view calls
     this.priceCache = priceCacheService;
     this.volumeAnalyzer = volumeAnalyzerService;
     
@@ -65,16 +97,28 @@ export class LiquidityFilterV2Service {
 
   /**
    * Analyze pair and determine tier
+   * 
+   * @param {string} pairAddress - Pair/pool address
+   * @param {Object} volumeData - Optional pre-fetched volume data
+   * @param {string} poolType - 'v2' (default), 'v3' or 'solidly'
    */
-  async analyzePair(pairAddress, volumeData = null) {
+  async analyzePair(pairAddress, volumeData = null, poolType = 'v2') {
+    if (poolType === 'v3') {
+      return this.analyzeV3Pool(pairAddress, volumeData);
+    }
+
+    if (poolType === 'solidly') {
+      return this.analyzeSolidlyPair(pairAddress, volumeData);
+    }
+
     try {
       const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, this.provider);
       
       // Get token addresses and reserves
       const [token0Address, token1Address, reserves] = await Promise.all([
-        pairContract.token0(),
-        pairContract.token1(),
-        pairContract.getReserves(),
+        this.multicall.call(pairContract, 'token0'),
+        this.multicall.call(pairContract, 'token1'),
+        this.getReserves(pairContract),
       ]);
 
       // Check if at least one token is known
@@ -101,16 +145,106 @@ export class LiquidityFilterV2Service {
         return liquidityResult;
       }
 
-      // Get volume data if not provided
-      if (!volumeData && this.volumeAnalyzer) {
-        volumeData = await this.volumeAnalyzer.analyzePair(pairAddress);
+      return await this.buildAnalysis(pairAddress, volumeData, {
+        poolType: 'v2',
+        token0Address,
+        token1Address,
+        reserves: {
+          reserve0: reserves.reserve0.toString(),
+          reserve1: reserves.reserve1.toString(),
+        },
+        liquidityUSD: liquidityResult.liquidityUSD,
+        knownToken: liquidityResult.knownToken,
+      });
+
+    } catch (error) {
+      console.error(`   ❌ Error analyzing pair ${pairAddress}:`, error.message);
+      return {
+        success: false,
+        reason: 'error',
+        message: error.message,
+      };
+    }
+  }
+
+  /**
+   * Read pair reserves, cross-checked across RPC endpoints if configured
+   */
+  async getReserves(pairContract) {
+    if (!this.providerService?.executeWithConsensus || this.providerService.consensusQuorum <= 1) {
+      return this.multicall.call(pairContract, 'getReserves');
+    }
+
+    const [reserve0, reserve1] = await this.providerService.executeWithConsensus(
+      (provider, blockTag) => pairContract.connect(provider).getReserves({ blockTag }),
+      'getReserves'
+    );
+    return { reserve0, reserve1 };
+  }
+
+  /**
+   * Analyze a Solidly-style pair and determine tier
+   * 
+   * Volatile pairs use the constant-product valuation; stable pairs price
+   * the unknown side from the stable curve.
+   */
+  async analyzeSolidlyPair(pairAddress, volumeData = null) {
+    try {
+      const pairContract = new ethers.Contract(pairAddress, SOLIDLY_PAIR_ABI, this.provider);
+
+      const [token0Address, token1Address, reserves, stable] = await Promise.all([
+        this.multicall.call(pairContract, 'token0'),
+        this.multicall.call(pairContract, 'token1'),
+        this.getReserves(pairContract),
+        this.multicall.call(pairContract, 'stable'),
+      ]);
+
+      const token0Known = this.priceCache.isKnownToken(token0Address);
+      const token1Known = this.priceCache.isKnownToken(token1Address);
+
+      if (!token0Known && !token1Known) {
+        return {
+          success: false,
+          reason: 'no_known_token',
+          message: 'Neither token is a known base token',
+        };
       }
 
-      // Determine tier
-      const tier = this.determineTier(liquidityResult.liquidityUSD, volumeData);
+      let liquidityResult;
+      if (stable) {
+        const [decimals0, decimals1] = await Promise.all([
+          this.getTokenDecimals(token0Address),
+          this.getTokenDecimals(token1Address),
+        ]);
 
-      return {
-        success: true,
+        const x = Number(ethers.formatUnits(reserves.reserve0, decimals0));
+        const y = Number(ethers.formatUnits(reserves.reserve1, decimals1));
+
+        liquidityResult = await this.calculateSpotLiquidityUSD({
+          token0Address,
+          token1Address,
+          balance0: reserves.reserve0,
+          balance1: reserves.reserve1,
+          decimals0,
+          decimals1,
+          price0In1: this.getStableSpotPrice(x, y),
+        });
+      } else {
+        liquidityResult = await this.calculateLiquidityUSD(
+          token0Address,
+          token1Address,
+          reserves.reserve0,
+          reserves.reserve1
+        );
+      }
+
+      if (!liquidityResult.success) {
+        return liquidityResult;
+      }
+
+      return await this.buildAnalysis(pairAddress, volumeData, {
+        poolType: 'solidly',
+        stable,
         token0Address,
         token1Address,
         reserves: {
@@ -119,15 +253,124 @@ export class LiquidityFilterV2Service {
         },
         liquidityUSD: liquidityResult.liquidityUSD,
         knownToken: liquidityResult.knownToken,
-        tier: tier.name,
-        tierInfo: tier,
-        volumeData,
-        shouldAlertVIP: tier.alertVIP,
-        shouldAlertPublic: tier.alertPublic,
+      });
+
+    } catch (error) {
+      console.error(`   ❌ Error analyzing Solidly pair ${pairAddress}:`, error.message);
+      return {
+        success: false,
+        reason: 'error',
+        message: error.message,
       };
+    }
+  }
+
+  /**
+   * Spot price of token0 in token1 on the stable curve k = x³y + y³x
+   * 
+   * Reserves must be in human units (decimal-adjusted).
+   */
+  getStableSpotPrice(x, y) {
+    const denominator = x * x * x + 3 * x * y * y;
+    if (denominator === 0) {
+      return 0;
+    }
+    return (3 * x * x * y + y * y * y) / denominator;
+  }
+
+  async getTokenDecimals(tokenAddress) {
+    const knownToken = this.priceCache.getKnownTokenInfo(tokenAddress);
+    if (knownToken) {
+      return knownToken.decimals;
+    }
+
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+    return Number(await this.multicall.call(tokenContract, 'decimals'));
+  }
+
+  /**
+   * Analyze a concentrated-liquidity (V3) pool and determine tier
+   * 
+   * Liquidity is valued from the token balances held by the pool; the
+   * unknown side is priced through the pool's current sqrtPriceX96.
+   */
+  async analyzeV3Pool(poolAddress, volumeData = null) {
+    try {
+      const poolContract = new ethers.Contract(poolAddress, V3_POOL_ABI, this.provider);
+
+      const [token0Address, token1Address, fee, activeLiquidity, slot0] = await Promise.all([
+        this.multicall.call(poolContract, 'token0'),
+        this.multicall.call(poolContract, 'token1'),
+        this.multicall.call(poolContract, 'fee'),
+        this.multicall.call(poolContract, 'liquidity'),
+        this.multicall.call(poolContract, 'slot0'),
+      ]);
+
+      const token0Known = this.priceCache.isKnownToken(token0Address);
+      const token1Known = this.priceCache.isKnownToken(token1Address);
+
+      if (!token0Known && !token1Known) {
+        return {
+          success: false,
+          reason: 'no_known_token',
+          message: 'Neither token is a known base token',
+        };
+      }
+
+      // Positions are all out of range: nothing is tradable at the current price
+      if (activeLiquidity === 0n) {
+        return {
+          success: false,
+          reason: 'no_active_liquidity',
+          message: 'Pool has no in-range liquidity',
+        };
+      }
+
+      const token0Contract = new ethers.Contract(token0Address, ERC20_ABI, this.provider);
+      const token1Contract = new ethers.Contract(token1Address, ERC20_ABI, this.provider);
+
+      const [balance0, balance1, decimals0, decimals1] = await Promise.all([
+        this.multicall.call(token0Contract, 'balanceOf', [poolAddress]),
+        this.multicall.call(token1Contract, 'balanceOf', [poolAddress]),
+        this.getTokenDecimals(token0Address),
+        this.getTokenDecimals(token1Address),
+      ]);
+
+      // Spot price of token0 denominated in token1 (human units)
+      const sqrtPrice = Number(slot0.sqrtPriceX96) / Q96;
+      const price0In1 = sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+
+      const liquidityResult = await this.calculateSpotLiquidityUSD({
+        token0Address,
+        token1Address,
+        balance0,
+        balance1,
+        decimals0,
+        decimals1,
+        price0In1,
+      });
+
+      if (!liquidityResult.success) {
+        return liquidityResult;
+      }
+
+      return await this.buildAnalysis(poolAddress, volumeData, {
+        poolType: 'v3',
+        feeTier: Number(fee),
+        activeLiquidity: activeLiquidity.toString(),
+        tick: Number(slot0.tick),
+        token0Address,
+        token1Address,
+        reserves: {
+          reserve0: balance0.toString(),
+          reserve1: balance1.toString(),
+        },
+        liquidityUSD: liquidityResult.liquidityUSD,
+        knownToken: liquidityResult.knownToken,
+      });
 
     } catch (error) {
-      console.error(`   ❌ Error analyzing pair ${pairAddress}:`, error.message);
+      console.error(`   ❌ Error analyzing V3 pool ${poolAddress}:`, error.message);
       return {
         success: false,
         reason: 'error',
@@ -136,6 +379,77 @@ export class LiquidityFilterV2Service {
     }
   }
 
+  /**
+   * Attach volume data and tier to a pool valuation
+   */
+  async buildAnalysis(pairAddress, volumeData, valuation) {
+    // Get volume data if not provided
+    if (!volumeData && this.volumeAnalyzer) {
+      volumeData = await this.volumeAnalyzer.analyzePair(pairAddress);
+    }
+
+    // Determine tier
+    const tier = this.determineTier(valuation.liquidityUSD, volumeData);
+
+    return {
+      success: true,
+      ...valuation,
+      tier: tier.name,
+      tierInfo: tier,
+      volumeData,
+      shouldAlertVIP: tier.alertVIP,
+      shouldAlertPublic: tier.alertPublic,
+    };
+  }
+
+  /**
+   * Calculate liquidity in USD from pool balances and the pool's spot price
+   * 
+   * @param {number} price0In1 - Price of token0 denominated in token1 (human units)
+   */
+  async calculateSpotLiquidityUSD({ token0Address, token1Address, balance0, balance1, decimals0, decimals1, price0In1 }) {
+    const token0Info = this.priceCache.getKnownTokenInfo(token0Address);
+    const token1Info = this.priceCache.getKnownTokenInfo(token1Address);
+
+    let price0 = token0Info ? await this.priceCache.getTokenPriceUSD(token0Address) : null;
+    let price1 = token1Info ? await this.priceCache.getTokenPriceUSD(token1Address) : null;
+
+    // Derive the unknown side from the pool price
+    if (price0 && !price1 && price0In1 > 0) {
+      price1 = price0 / price0In1;
+    } else if (price1 && !price0) {
+      price0 = price1 * price0In1;
+    }
+
+    if (!price0 || !price1) {
+      return {
+        success: false,
+        reason: 'no_price_data',
+        message: 'Could not determine liquidity',
+      };
+    }
+
+    const amount0 = Number(ethers.formatUnits(balance0, decimals0));
+    const amount1 = Number(ethers.formatUnits(balance1, decimals1));
+    const liquidityUSD = amount0 * price0 + amount1 * price1;
+
+    if (!Number.isFinite(liquidityUSD) || liquidityUSD === 0) {
+      return {
+        success: false,
+        reason: 'no_price_data',
+        message: 'Could not determine liquidity',
+      };
+    }
+
+    const knownToken = [token0Info?.symbol, token1Info?.symbol].filter(Boolean).join('/');
+
+    return {
+      success: true,
+      liquidityUSD,
+      knownToken,
+    };
+  }
+
   /**
    * Calculate liquidity in USD
    */
@@ -0,0 +1,328 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { WorkerPool } from '../utils/workerPool.js';
+import { ROUTER_INTERFACES, FACTORY_INTERFACES, parseLaunchCalldata } from '../utils/launchCalldata.js';
+
+// Lookups used to tell launches apart from ordinary liquidity adds
+const ROUTER_WETH_ABI = [
+  'function WETH() view returns (address)',
+  'function weth() view returns (address)',
+  'function wETH() view returns (address)',
+];
+const V2_GET_PAIR_ABI = ['function getPair(address tokenA, address tokenB) view returns (address)'];
+const SOLIDLY_GET_PAIR_ABI = ['function getPair(address tokenA, address tokenB, bool stable) view returns (address)'];
+const PAIR_SUPPLY_ABI = ['function totalSupply() view returns (uint256)'];
+
+// How long a transaction hash is remembered to avoid decoding it twice
+const SEEN_TTL = 10 * 60 * 1000;
+
+/**
+ * Mempool Watcher Service
+ *
+ * Decodes pending transactions sent to the configured routers
+ * (addLiquidity/addLiquidityETH) and factories (createPair/createPool)
+ * and reports them as "pending launches" before they are mined.
+ *
+ * Modes:
+ * - 'ws': eth_subscribe newPendingTransactions, then fetch each transaction
+ * - 'txpool': poll txpool_content (Geth/Erigon nodes with the txpool API)
+ *
+ * V3 liquidity is added through the position manager, so only V3 factory
+ * createPool calls are decoded.
+ */
+export class MempoolWatcherService {
+  constructor(provider, factories = config.factories) {
+    this.provider = provider;
+    this.mode = config.mempool?.mode || 'ws';
+    this.wsUrl = config.mempool?.wsUrl || null;
+    this.pollInterval = config.mempool?.pollInterval || 2000;
+    this.maxQueuedFetches = config.mempool?.maxQueuedFetches || 500;
+
+    // Watched address -> { factory, kind, iface }
+    this.targets = new Map();
+    for (const factory of factories) {
+      const factoryInterface = FACTORY_INTERFACES[factory.type];
+      if (factoryInterface) {
+        this.targets.set(factory.address.toLowerCase(), { factory, kind: 'factory', iface: factoryInterface });
+      }
+
+      const routerInterface = ROUTER_INTERFACES[factory.type];
+      if (routerInterface && factory.router) {
+        this.targets.set(factory.router.toLowerCase(), { factory, kind: 'router', iface: routerInterface });
+      }
+    }
+
+    this.fetchPool = new WorkerPool('mempool', config.mempool?.fetchConcurrency || 10);
+    this.seen = new Map(); // txHash -> seenAt
+    this.wrappedNative = new Map(); // router -> wrapped native token
+    this.wsProvider = null;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.isRunning = false;
+    this.onPendingLaunch = null;
+    this.stats = { decoded: 0, dropped: 0 };
+  }
+
+  /**
+   * Start watching
+   *
+   * @param {Function} onPendingLaunch - async (launch) => void
+   */
+  async start(onPendingLaunch) {
+    this.onPendingLaunch = onPendingLaunch;
+    this.isRunning = true;
+
+    console.log(`🔭 Watching mempool (${this.mode}) for launches on ${this.targets.size} router/factory contracts`);
+
+    if (this.mode === 'txpool') {
+      this.pollTimer = setInterval(() => this.pollTxpool(), this.pollInterval);
+    } else {
+      this.pollTimer = setInterval(() => this.pruneSeen(), 60000);
+      await this.subscribe();
+    }
+  }
+
+  async subscribe() {
+    if (!this.wsUrl) {
+      console.warn('⚠️  Mempool watcher needs MEMPOOL_WS_URL or RPC_WS_URL in ws mode, disabled');
+      return;
+    }
+
+    try {
+      this.wsProvider = new ethers.WebSocketProvider(this.wsUrl);
+
+      this.wsProvider.websocket.onclose = () => this.scheduleReconnect('connection closed');
+
+      await this.wsProvider.on('pending', (txHash) => {
+        // Public nodes can push thousands of hashes per second; shed load
+        if (this.fetchPool.depth >= this.maxQueuedFetches) {
+          this.stats.dropped++;
+          return;
+        }
+        this.fetchPool.run(() => this.fetchPendingTransaction(txHash)).catch(() => {});
+      });
+    } catch (error) {
+      console.warn('⚠️  Mempool subscription failed:', error.message);
+      this.scheduleReconnect(error.message);
+    }
+  }
+
+  scheduleReconnect(reason) {
+    if (!this.isRunning || this.reconnectTimer) {
+      return;
+    }
+
+    const delay = config.backoff?.maxDelay || 30000;
+    console.warn(`⚠️  Mempool WebSocket lost (${reason}), reconnecting in ${delay / 1000}s`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      await this.closeWebSocket();
+      if (this.isRunning) {
+        await this.subscribe();
+      }
+    }, delay);
+  }
+
+  async fetchPendingTransaction(txHash) {
+    if (this.seen.has(txHash) || !this.wsProvider) {
+      return;
+    }
+
+    const tx = await this.wsProvider.getTransaction(txHash);
+    if (tx) {
+      await this.handleTransaction({
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+      });
+    }
+  }
+
+  async pollTxpool() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const content = await this.getActualProvider().send('txpool_content', []);
+
+      for (const byNonce of Object.values(content?.pending || {})) {
+        for (const tx of Object.values(byNonce)) {
+          await this.handleTransaction({
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            data: tx.input,
+            value: BigInt(tx.value || 0),
+          });
+        }
+      }
+
+      this.pruneSeen();
+    } catch (error) {
+      console.warn('   ⚠️  txpool_content failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async handleTransaction(tx) {
+    if (!tx.to || this.seen.has(tx.hash)) {
+      return;
+    }
+
+    const target = this.targets.get(tx.to.toLowerCase());
+    if (!target) {
+      return;
+    }
+
+    this.seen.set(tx.hash, Date.now());
+
+    const launch = this.decodeLaunch(tx, target);
+    if (!launch) {
+      return;
+    }
+
+    try {
+      if (launch.action === 'addLiquidityETH') {
+        launch.tokenB = await this.getWrappedNative(tx.to);
+        launch.native = true;
+      }
+
+      if (await this.isNewLaunch(launch)) {
+        this.stats.decoded++;
+        await this.onPendingLaunch(launch);
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  Could not inspect pending tx ${tx.hash}:`, error.message);
+    }
+  }
+
+  getActualProvider() {
+    return this.provider.getFailoverProvider ? this.provider.getFailoverProvider() : this.provider;
+  }
+
+  async getWrappedNative(routerAddress) {
+    const key = routerAddress.toLowerCase();
+    if (!this.wrappedNative.has(key)) {
+      const router = new ethers.Contract(routerAddress, ROUTER_WETH_ABI, this.getActualProvider());
+      const address = await router.WETH()
+        .catch(() => router.weth())
+        .catch(() => router.wETH());
+      this.wrappedNative.set(key, address);
+    }
+    return this.wrappedNative.get(key);
+  }
+
+  /**
+   * Liquidity adds only count as launches if the pair doesn't exist yet
+   * or has never had liquidity (zero LP supply)
+   */
+  async isNewLaunch(launch) {
+    if (launch.action === 'createPair' || launch.action === 'createPool') {
+      return true;
+    }
+
+    const provider = this.getActualProvider();
+    const isSolidly = launch.dex.type === 'solidly';
+    const factory = new ethers.Contract(
+      launch.dex.address,
+      isSolidly ? SOLIDLY_GET_PAIR_ABI : V2_GET_PAIR_ABI,
+      provider
+    );
+
+    const pairAddress = isSolidly
+      ? await factory.getPair(launch.tokenA, launch.tokenB, !!launch.stable)
+      : await factory.getPair(launch.tokenA, launch.tokenB);
+
+    if (pairAddress === ethers.ZeroAddress) {
+      return true;
+    }
+
+    const pair = new ethers.Contract(pairAddress, PAIR_SUPPLY_ABI, provider);
+    return (await pair.totalSupply()) === 0n;
+  }
+
+  /**
+   * Decode router/factory calldata into a pending launch
+   *
+   * For addLiquidityETH token B (the wrapped native token) is resolved
+   * later; amount B is the native value sent with the transaction.
+   */
+  decodeLaunch(tx, { factory, iface }) {
+    const parsed = parseLaunchCalldata(iface, tx.data, tx.value);
+    if (!parsed) {
+      return null;
+    }
+
+    const { name, args } = parsed;
+    const launch = {
+      txHash: tx.hash,
+      from: tx.from,
+      action: name,
+      dex: factory,
+      seenAt: Date.now(),
+      tokenA: null,
+      tokenB: null,
+      amountA: null,
+      amountB: null,
+      native: false,
+      stable: args.stable ?? null,
+      fee: args.fee !== undefined ? Number(args.fee) : null,
+    };
+
+    switch (name) {
+      case 'addLiquidity':
+        return { ...launch, tokenA: args.tokenA, tokenB: args.tokenB, amountA: args.amountADesired, amountB: args.amountBDesired };
+      case 'addLiquidityETH':
+        return { ...launch, tokenA: args.token, amountA: args.amountTokenDesired, amountB: tx.value };
+      case 'createPair':
+      case 'createPool':
+        return { ...launch, tokenA: args.tokenA, tokenB: args.tokenB };
+      default:
+        return null;
+    }
+  }
+
+  pruneSeen() {
+    const cutoff = Date.now() - SEEN_TTL;
+    for (const [txHash, seenAt] of this.seen.entries()) {
+      if (seenAt < cutoff) {
+        this.seen.delete(txHash);
+      }
+    }
+  }
+
+  async closeWebSocket() {
+    if (this.wsProvider) {
+      const wsProvider = this.wsProvider;
+      this.wsProvider = null;
+      try {
+        wsProvider.websocket.onclose = null;
+        await wsProvider.destroy();
+      } catch (error) {
+        // Already closed
+      }
+    }
+  }
+
+  async stop() {
+    this.isRunning = false;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    await this.closeWebSocket();
+  }
+}
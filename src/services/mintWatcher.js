@@ -0,0 +1,129 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { ChunkedLogScanner } from '../utils/chunkedLogs.js';
+
+// Liquidity events emitted by pools when liquidity lands
+const LIQUIDITY_EVENTS_ABI = [
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)', // V2 / Solidly
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)', // V3
+  'event Sync(uint112 reserve0, uint112 reserve1)', // V2 (covers transfer + sync() launches)
+  'event Sync(uint256 reserve0, uint256 reserve1)', // Solidly
+];
+
+const liquidityInterface = new ethers.Interface(LIQUIDITY_EVENTS_ABI);
+const LIQUIDITY_TOPICS = liquidityInterface.fragments
+  .filter(fragment => fragment.type === 'event')
+  .map(fragment => fragment.topicHash);
+
+// Keep getLogs address lists within what public RPCs accept
+const ADDRESS_BATCH_SIZE = 100;
+
+/**
+ * Mint Watcher Service
+ *
+ * Watches Mint/Sync events on pairs that were detected but not alerted yet
+ * (the pairs waiting in the re-evaluation queue) and reports the first
+ * liquidity add, so the pair can be analyzed within a block instead of at
+ * its next scheduled re-check. When polling falls behind (RPC outage), the
+ * whole gap is scanned in chunks.
+ */
+export class MintWatcherService {
+  constructor(provider, reevaluationQueue) {
+    this.provider = provider;
+    this.reevaluationQueue = reevaluationQueue;
+    this.interval = config.mintWatch?.interval || 3000;
+    this.maxRange = config.mintWatch?.maxBlockRange || 500;
+    this.logScanner = new ChunkedLogScanner({ maxChunkSize: this.maxRange });
+    this.lastBlock = null;
+    this.timer = null;
+    this.isPolling = false;
+    this.onLiquidityAdded = null;
+  }
+
+  /**
+   * Start watching
+   *
+   * @param {Function} onLiquidityAdded - async (pairAddress, log) => void
+   */
+  async start(onLiquidityAdded) {
+    this.onLiquidityAdded = onLiquidityAdded;
+    this.lastBlock = await this.provider.getBlockNumber();
+
+    console.log(`💧 Watching pending pairs for first liquidity (every ${this.interval / 1000}s)`);
+
+    this.timer = setInterval(() => this.poll(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const headBlock = await this.provider.getBlockNumber();
+      if (headBlock <= this.lastBlock) {
+        return;
+      }
+
+      const pending = await this.reevaluationQueue.getPendingAddresses();
+
+      if (pending.length === 0) {
+        this.lastBlock = headBlock;
+        return;
+      }
+
+      // Each pair triggers once, on its first liquidity event of the gap
+      const triggered = new Set();
+
+      await this.logScanner.scan(
+        this.lastBlock + 1,
+        headBlock,
+        (fromBlock, toBlock) => this.queryLiquidityLogs(pending, fromBlock, toBlock),
+        async (logs, fromBlock, toBlock) => {
+          const first = new Map();
+          for (const log of logs) {
+            const key = log.address.toLowerCase();
+            if (!triggered.has(key) && !first.has(key)) {
+              first.set(key, log);
+            }
+          }
+
+          for (const key of first.keys()) {
+            triggered.add(key);
+          }
+          await Promise.all(
+            [...first.entries()].map(([pairAddress, log]) => this.onLiquidityAdded(pairAddress, log))
+          );
+
+          this.lastBlock = toBlock;
+        }
+      );
+
+    } catch (error) {
+      console.warn('   ⚠️  Mint watcher poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async queryLiquidityLogs(addresses, fromBlock, toBlock) {
+    const logs = [];
+    for (let i = 0; i < addresses.length; i += ADDRESS_BATCH_SIZE) {
+      logs.push(...await this.provider.getLogs({
+        address: addresses.slice(i, i + ADDRESS_BATCH_SIZE),
+        topics: [LIQUIDITY_TOPICS],
+        fromBlock,
+        toBlock,
+      }));
+    }
+    return logs;
+  }
+}
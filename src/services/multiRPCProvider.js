@@ -1,125 +1,296 @@
 import { ethers } from 'ethers';
 import { config } from '../config.js';
+import { TokenBucket } from '../utils/rateLimiter.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { classifyError, ClassifiedError, ErrorClass } from '../utils/errors.js';
+import { FailoverProvider } from './failoverProvider.js';
+
+// Load balancing strategies, see selectProvider()
+const STRATEGIES = ['priority', 'round-robin', 'latency', 'least-in-flight'];
+
+// Smoothing factor of the latency moving average (higher reacts faster)
+const LATENCY_EWMA_ALPHA = 0.3;
+
+// Requests that read state at a block (old blocks need an archive node)
+const STATE_METHODS = ['call', 'estimateGas', 'getBalance', 'getCode', 'getStorage', 'getTransactionCount'];
 
 /**
  * Multi-RPC Provider Service with Failover Support
  * 
  * Features:
- * - Multiple RPC endpoints (primary, secondary, tertiary)
+ * - Any number of RPC endpoints (RPC_URLS or RPC_ENDPOINTS_FILE), each with
+ *   its own weight, timeout, rate limit, headers / API key and archive flag
+ * - Endpoints on another chain than CHAIN_ID are refused
  * - Automatic health checks
+ * - Circuit breaker per endpoint (closed → open → half-open): opens on a
+ *   time-decayed error rate, stays out of the hot path during the
+ *   cool-down, then lets a single probe request decide
  * - Auto-failover on provider failure
+ * - Load balancing (RPC_STRATEGY):
+ *   - priority: all requests go to the active endpoint, move on failure
+ *   - round-robin: rotate across endpoints in proportion to their weight
+ *   - latency: pick randomly, weighted by weight / EWMA latency
+ *   - least-in-flight: endpoint with the fewest pending requests per weight
  * - Connection pooling
- * - Performance monitoring
+ * - Performance monitoring (per endpoint, see getStats())
+ * - Block height tracking: endpoints more than RPC_MAX_BLOCK_LAG blocks
+ *   behind the best one are degraded (not used while others are in sync)
+ *   and range reads only go to endpoints that have reached the range end
+ * - Optional N-provider agreement for critical reads (executeWithConsensus)
+ * - State reads older than RPC_ARCHIVE_DEPTH blocks prefer archive endpoints
+ * - Per-endpoint rate limits (RPC_RATE_LIMITS req/s, RPC_DAILY_BUDGETS):
+ *   requests queue for a free slot, 429s pause the endpoint and route
+ *   traffic to the others
+ * - ethers provider adapter (getFailoverProvider()) so contract calls in
+ *   other services get the same failover
  * 
  * Sprint 1 - ~350 lines of code
  */
 export class MultiRPCProviderService {
-  constructor(rpcUrls = null) {
-    // RPC endpoints in priority order
-    this.rpcUrls = rpcUrls || [
-      config.rpc?.primaryUrl || config.rpcUrl,
-      config.rpc?.secondaryUrl,
-      config.rpc?.tertiaryUrl,
-    ].filter(Boolean); // Remove null/undefined entries
+  /**
+   * @param {Array<string|Object>} endpoints - URLs or endpoint options in
+   *   priority order (defaults to config.rpc.endpoints)
+   */
+  constructor(endpoints = null) {
+    this.endpointConfigs = (endpoints || config.rpc?.endpoints || [config.rpcUrl])
+      .map(endpoint => typeof endpoint === 'string' ? { url: endpoint } : endpoint);
+    this.rpcUrls = this.endpointConfigs.map(endpoint => endpoint.url);
+
+    this.strategy = config.rpc?.strategy || 'priority';
+    if (!STRATEGIES.includes(this.strategy)) {
+      console.warn(`⚠️  Unknown RPC_STRATEGY "${this.strategy}", using priority`);
+      this.strategy = 'priority';
+    }
 
     this.providers = [];
     this.currentProviderIndex = 0;
     this.network = null;
+    this.failoverProvider = null;
     this.ethers = ethers;
     
     // Health check configuration
     this.healthCheckInterval = config.rpc?.healthCheckInterval || 60000; // 1 minute
     this.healthCheckTimer = null;
-    this.maxResponseTime = config.rpc?.maxResponseTime || 5000; // 5 seconds
+    this.maxResponseTime = config.rpc?.maxResponseTime || 5000; // 5 seconds, per-endpoint `timeout` overrides
+    this.archiveDepth = config.rpc?.archiveDepth ?? 128;
+    
+    // Block height consensus
+    this.maxBlockLag = config.rpc?.maxBlockLag ?? 5;
+    this.heightCheckInterval = config.rpc?.heightCheckInterval || 15000;
+    this.heightCheckTimer = null;
+    this.heightCheckInFlight = null;
+    this.consensusQuorum = config.rpc?.consensusQuorum || 1;
+    
+    // Circuit state changes (see onCircuitTransition)
+    this.circuitListeners = [];
+    this.recentTransitions = [];
     
     // Statistics
     this.stats = {
       requests: 0,
       failures: 0,
       failovers: 0,
+      consensusFailures: 0,
+      circuitTransitions: 0,
       providerStats: [],
     };
   }
 
+  /**
+   * Subscribe to endpoint circuit breaker transitions
+   * 
+   * @param {Function} listener - ({ index, url, from, to, reason, at }) => void
+   */
+  onCircuitTransition(listener) {
+    this.circuitListeners.push(listener);
+  }
+
+  handleCircuitTransition(index, { from, to, reason }) {
+    const transition = { index, name: this.providers[index]?.name, url: this.rpcUrls[index], from, to, reason, at: Date.now() };
+    this.stats.circuitTransitions++;
+    this.recentTransitions = [...this.recentTransitions.slice(-19), transition];
+
+    const icons = { open: '🔴', 'half-open': '🟡', closed: '🟢' };
+    console.log(`   ${icons[to]} Provider [${index}] circuit ${from} → ${to} (${reason})`);
+
+    for (const listener of this.circuitListeners) {
+      Promise.resolve()
+        .then(() => listener(transition))
+        .catch(error => console.warn('   ⚠️  Circuit listener failed:', error.message));
+    }
+  }
+
   async initialize() {
     if (this.providers.length > 0) {
       return this;
     }
 
     console.log('🌐 Initializing Multi-RPC Provider Service...');
-    console.log(`   Total endpoints: ${this.rpcUrls.length}`);
+    console.log(`   Total endpoints: ${this.endpointConfigs.length} (strategy: ${this.strategy})`);
 
     // Initialize all providers
-    for (let i = 0; i < this.rpcUrls.length; i++) {
-      try {
-        const url = this.rpcUrls[i];
-        console.log(`   [${i}] Connecting to: ${url}`);
-        
-        const provider = new ethers.JsonRpcProvider(url);
-        
-        // Test connection with timeout
-        const network = await Promise.race([
-          provider.getNetwork(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Connection timeout')), 10000)
-          ),
-        ]);
+    for (let i = 0; i < this.endpointConfigs.length; i++) {
+      const endpoint = this.createEndpoint(i, {
+        provider: null,
+        network: null,
+        lastCheck: Date.now(),
+        responseTime: -1,
+        failures: 0,
+      });
+      this.providers.push(endpoint);
+
+      // Name only: URLs can carry API keys
+      console.log(`   [${i}] Connecting to: ${endpoint.name}${endpoint.archive ? ' (archive)' : ''}`);
 
-        this.providers.push({
-          provider,
-          url,
-          network,
-          healthy: true,
-          lastCheck: Date.now(),
-          responseTime: 0,
-          failures: 0,
-        });
+      try {
+        const { provider, network, blockNumber } = await this.connectEndpoint(endpoint);
+        endpoint.provider = provider;
+        endpoint.network = network;
+        endpoint.responseTime = 0;
+        endpoint.blockNumber = blockNumber;
+        this.network = this.network || network;
 
         console.log(`   ✅ [${i}] Connected to ${network.name} (chainId: ${network.chainId})`);
-
-        // Set network from first successful connection
-        if (!this.network) {
-          this.network = network;
-          
-          if (Number(network.chainId) !== config.chainId) {
-            console.warn(`   ⚠️  WARNING: Connected chain ID (${network.chainId}) doesn't match configured CHAIN_ID (${config.chainId})`);
-          }
-        }
-
       } catch (error) {
-        console.error(`   ❌ [${i}] Failed to connect: ${error.message}`);
-        // Add as unhealthy provider
-        this.providers.push({
-          provider: null,
-          url: this.rpcUrls[i],
-          network: null,
-          healthy: false,
-          lastCheck: Date.now(),
-          responseTime: -1,
-          failures: 1,
-        });
+        // Unhealthy until a health check reconnects it (never, if on the wrong chain)
+        endpoint.failures = 1;
+        console.error(`   ❌ [${i}] ${endpoint.wrongChainId !== null ? 'Refused' : 'Failed to connect'}: ${error.message}`);
       }
     }
 
     if (this.providers.filter(p => p.healthy).length === 0) {
-      throw new Error('All RPC providers failed to initialize');
+      throw new Error(`All RPC providers failed to initialize on chain ${config.chainId}`);
     }
 
+    this.updateLagging();
+    this.failoverProvider = new FailoverProvider(this);
+
     // Find first healthy provider
-    this.currentProviderIndex = this.providers.findIndex(p => p.healthy);
+    this.currentProviderIndex = this.providers.findIndex(p => p.healthy && !p.lagging);
     console.log(`   🎯 Primary provider: [${this.currentProviderIndex}]`);
 
     // Start health checks
     this.startHealthChecks();
+    this.startHeightChecks();
 
     console.log('✅ Multi-RPC Provider Service initialized');
     return this;
   }
 
   /**
-   * Get current active provider
+   * JsonRpcProvider for one endpoint
+   * 
+   * ethers retries 429 responses internally for up to a minute; a single
+   * attempt lets the rate limiter and failover react instead. Concurrent
+   * requests are sent as one JSON-RPC batch (RPC_BATCH_MAX_COUNT).
+   */
+  createJsonRpcProvider(endpoint) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.setThrottleParams({ maxAttempts: 1 });
+    for (const [header, value] of Object.entries(endpoint.headers || {})) {
+      request.setHeader(header, value);
+    }
+    return new ethers.JsonRpcProvider(request, undefined, {
+      batchMaxCount: config.rpc?.batchMaxCount || 100,
+    });
+  }
+
+  /**
+   * Connect to an endpoint and check it serves CHAIN_ID
+   * 
+   * An endpoint on another chain would return plausible-looking but wrong
+   * data, so it is refused for good (wrongChainId is set and it is never
+   * reconnected).
+   * 
+   * @returns {Promise<{provider, network, blockNumber}>}
+   */
+  async connectEndpoint(endpoint) {
+    const provider = this.createJsonRpcProvider(endpoint);
+
+    try {
+      const [network, blockNumber] = await Promise.race([
+        Promise.all([provider.getNetwork(), provider.getBlockNumber()]),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Connection timeout')), Math.max(endpoint.timeout, 10000))
+        ),
+      ]);
+
+      if (Number(network.chainId) !== config.chainId) {
+        endpoint.wrongChainId = Number(network.chainId);
+        throw new Error(`endpoint is on chain ${network.chainId}, expected CHAIN_ID ${config.chainId}`);
+      }
+
+      return { provider, network, blockNumber };
+    } catch (error) {
+      provider.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Endpoint state: connection, health and load balancing counters
+   */
+  createEndpoint(index, fields) {
+    const options = this.endpointConfigs[index];
+    const weight = options.weight ?? config.rpc?.weights?.[index];
+    let name = options.name;
+    try {
+      name = name || new URL(options.url).host;
+    } catch (error) {
+      name = `endpoint ${index}`;
+    }
+
+    return {
+      // Connected and circuit not open (half-open endpoints still count)
+      get healthy() {
+        return this.provider !== null && this.circuit.state !== 'open';
+      },
+      circuit: new CircuitBreaker({
+        ...config.rpc?.circuit,
+        onTransition: transition => this.handleCircuitTransition(index, transition),
+      }),
+      url: options.url,
+      name,
+      headers: options.headers || {},
+      timeout: options.timeout || this.maxResponseTime,
+      archive: options.archive === true,
+      wrongChainId: null, // Chain reported by an endpoint on the wrong network
+      weight: weight > 0 ? weight : 1,
+      ewmaLatency: null, // Moving average of response times (ms)
+      inFlight: 0,
+      requests: 0,
+      errors: 0,
+      roundRobinScore: 0,
+      rateLimited: 0, // 429 / "limit exceeded" responses
+      limiter: new TokenBucket({
+        ratePerSecond: options.rateLimit ?? config.rpc?.rateLimits?.[index] ?? 0,
+        dailyBudget: options.dailyBudget ?? config.rpc?.dailyBudgets?.[index] ?? 0,
+        penaltyMs: config.rpc?.rateLimitPenalty || 1000,
+      }),
+      blockNumber: null, // Last reported head block
+      lag: 0, // Blocks behind the best in-sync endpoint
+      lagging: false,
+      ...fields,
+    };
+  }
+
+  /**
+   * ethers provider that routes every request through executeWithFailover
+   * 
+   * Prefer this over getProvider() for contract calls.
+   */
+  getFailoverProvider() {
+    return this.failoverProvider;
+  }
+
+  /**
+   * Get current active provider (a single endpoint, no failover)
    */
   getProvider() {
+    if (this.strategy !== 'priority') {
+      return this.providers[this.selectProvider()]?.provider;
+    }
+
     const current = this.providers[this.currentProviderIndex];
     if (!current || !current.healthy) {
       this.failover();
@@ -127,6 +298,200 @@ export class MultiRPCProviderService {
     return this.providers[this.currentProviderIndex]?.provider;
   }
 
+  /**
+   * Pick the endpoint for the next request according to the strategy
+   * 
+   * Lagging endpoints are only used when no in-sync endpoint is left, and
+   * never for reads that need a block they haven't reached. Endpoints out
+   * of daily budget are skipped; endpoints with a free rate-limit slot are
+   * preferred over ones where the request would have to queue.
+   * 
+   * @param {Set<number>} exclude - Endpoint indexes already tried
+   * @param {Object} options
+   * @param {number} [options.minBlock] - Block the endpoint must have reached
+   * @param {boolean} [options.archive] - Prefer archive endpoints (historical state)
+   * @returns {number} Endpoint index, -1 if none is available
+   */
+  selectProvider(exclude = new Set(), { minBlock = null, archive = false } = {}) {
+    const available = [];
+    this.providers.forEach((providerData, index) => {
+      if (providerData.provider && !exclude.has(index) && !providerData.limiter.exhausted && providerData.circuit.allowsRequest()) {
+        available.push(index);
+      }
+    });
+
+    let candidates = available.filter(index => !this.providers[index].lagging);
+    if (candidates.length === 0) {
+      candidates = available;
+    }
+
+    if (minBlock !== null) {
+      candidates = candidates.filter(index => this.providers[index].blockNumber >= minBlock);
+    }
+
+    if (candidates.length === 0) {
+      return -1;
+    }
+
+    // Endpoints the active one may be kept as in priority mode
+    const eligible = candidates;
+
+    // Full nodes prune old state; fall back to them if no archive node is left
+    if (archive && candidates.some(index => this.providers[index].archive)) {
+      candidates = candidates.filter(index => this.providers[index].archive);
+    }
+
+    // Throttled endpoints only lose traffic while they are throttled
+    const ready = candidates.filter(index => this.providers[index].limiter.getDelay() === 0);
+    if (ready.length > 0) {
+      candidates = ready;
+    }
+
+    switch (this.strategy) {
+      case 'round-robin':
+        return this.selectRoundRobin(candidates);
+      case 'latency':
+        return this.selectByLatency(candidates);
+      case 'least-in-flight':
+        return this.selectLeastInFlight(candidates);
+      default:
+        // Already-tried endpoints were moved away from in executeWithFailover
+        if (!eligible.includes(this.currentProviderIndex) && !exclude.has(this.currentProviderIndex)) {
+          this.failover();
+        }
+        return candidates.includes(this.currentProviderIndex) ? this.currentProviderIndex : candidates[0];
+    }
+  }
+
+  /**
+   * Smooth weighted round-robin (spreads heavier endpoints evenly)
+   */
+  selectRoundRobin(candidates) {
+    let totalWeight = 0;
+    let best = null;
+
+    for (const index of candidates) {
+      const providerData = this.providers[index];
+      providerData.roundRobinScore += providerData.weight;
+      totalWeight += providerData.weight;
+      if (best === null || providerData.roundRobinScore > this.providers[best].roundRobinScore) {
+        best = index;
+      }
+    }
+
+    this.providers[best].roundRobinScore -= totalWeight;
+    return best;
+  }
+
+  /**
+   * Random pick weighted by weight / EWMA latency
+   * 
+   * Endpoints without a measurement yet get one probe request at a time;
+   * until any endpoint is measured, load is spread by in-flight count.
+   */
+  selectByLatency(candidates) {
+    const probe = candidates.find(index =>
+      this.providers[index].ewmaLatency === null && this.providers[index].inFlight === 0
+    );
+    if (probe !== undefined) {
+      return probe;
+    }
+
+    const measured = candidates.filter(index => this.providers[index].ewmaLatency !== null);
+    if (measured.length === 0) {
+      return this.selectLeastInFlight(candidates);
+    }
+
+    const scores = measured.map(index => {
+      const providerData = this.providers[index];
+      return providerData.weight / Math.max(providerData.ewmaLatency, 1);
+    });
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    let pick = Math.random() * total;
+    for (let i = 0; i < measured.length; i++) {
+      pick -= scores[i];
+      if (pick <= 0) {
+        return measured[i];
+      }
+    }
+    return measured[measured.length - 1];
+  }
+
+  /**
+   * Fewest pending requests per unit of weight, faster endpoint on ties
+   */
+  selectLeastInFlight(candidates) {
+    const load = index => this.providers[index].inFlight / this.providers[index].weight;
+    const latency = index => this.providers[index].ewmaLatency ?? 0;
+
+    return candidates.reduce((best, index) => {
+      if (load(index) < load(best) || (load(index) === load(best) && latency(index) < latency(best))) {
+        return index;
+      }
+      return best;
+    });
+  }
+
+  /**
+   * Record an endpoint's head block and re-evaluate which endpoints lag
+   */
+  recordBlockNumber(index, blockNumber) {
+    const providerData = this.providers[index];
+    if (providerData && blockNumber > (providerData.blockNumber ?? -1)) {
+      providerData.blockNumber = blockNumber;
+    }
+    this.updateLagging();
+  }
+
+  updateLagging() {
+    const heights = this.providers
+      .filter(p => p.healthy && p.blockNumber !== null)
+      .map(p => p.blockNumber);
+    if (heights.length === 0) {
+      return;
+    }
+
+    const bestBlock = Math.max(...heights);
+
+    this.providers.forEach((providerData, index) => {
+      if (providerData.blockNumber === null) {
+        return;
+      }
+
+      providerData.lag = bestBlock - providerData.blockNumber;
+      const lagging = providerData.lag > this.maxBlockLag;
+
+      if (lagging && !providerData.lagging) {
+        console.warn(`   🐢 Provider [${index}] is ${providerData.lag} blocks behind, marked degraded`);
+      } else if (!lagging && providerData.lagging) {
+        console.log(`   ✅ Provider [${index}] caught up (${providerData.lag} blocks behind)`);
+      }
+      providerData.lagging = lagging;
+    });
+  }
+
+  /**
+   * Whether a request reads state old enough to be pruned on full nodes
+   * 
+   * @param {string} method - ethers request method (call, getBalance, ...)
+   * @param {number|null} blockNumber - Block the request reads at
+   */
+  needsArchive(method, blockNumber) {
+    if (blockNumber === null || !STATE_METHODS.includes(method)) {
+      return false;
+    }
+    const head = Math.max(...this.providers.map(p => p.blockNumber ?? 0));
+    return head - blockNumber > this.archiveDepth;
+  }
+
+  recordLatency(providerData, responseTime) {
+    providerData.responseTime = responseTime;
+    providerData.ewmaLatency = providerData.ewmaLatency === null
+      ? responseTime
+      : LATENCY_EWMA_ALPHA * responseTime + (1 - LATENCY_EWMA_ALPHA) * providerData.ewmaLatency;
+  }
+
   /**
    * Get network information
    */
@@ -136,56 +501,186 @@ export class MultiRPCProviderService {
 
   /**
    * Execute request with automatic failover
+   * 
+   * Errors are classified (utils/errors.js): reverts and bad input are the
+   * same on every endpoint and are thrown at once without counting against
+   * the endpoint; rate limits pause the endpoint; anything else counts as
+   * an endpoint failure and the next endpoint is tried.
+   * 
+   * @param {Function} fn - (provider, index) => Promise
+   * @param {string} context - Label for logs
+   * @param {Object} options
+   * @param {number} [options.minBlock] - Only use endpoints at or past this block
+   * @param {boolean} [options.archive] - Request reads historical state
    */
-  async executeWithFailover(fn, context = 'RPC call') {
+  async executeWithFailover(fn, context = 'RPC call', { minBlock = null, archive = false } = {}) {
     this.stats.requests++;
     let lastError;
     const maxAttempts = this.providers.length;
+    const tried = new Set();
+    let heightsRefreshed = false;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const providerData = this.providers[this.currentProviderIndex];
-      
-      if (!providerData.healthy) {
-        this.failover();
-        continue;
+      let index = this.selectProvider(tried, { minBlock, archive });
+
+      // Cached heights lag the chain head between height checks; refresh
+      // them once before deciding no endpoint has reached the block
+      if (index === -1 && minBlock !== null && !heightsRefreshed) {
+        heightsRefreshed = true;
+        await this.checkBlockHeights();
+        index = this.selectProvider(tried, { minBlock, archive });
       }
 
+      if (index === -1) {
+        if (!lastError && minBlock !== null) {
+          lastError = new Error(`no in-sync provider has reached block ${minBlock}`);
+        }
+        break;
+      }
+      tried.add(index);
+
+      const providerData = this.providers[index];
+      providerData.requests++;
+      providerData.inFlight++;
+      providerData.circuit.onRequest();
+
       try {
+        await providerData.limiter.take();
         const startTime = Date.now();
+
         const result = await Promise.race([
-          fn(providerData.provider),
+          fn(providerData.provider, index),
           new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout')), this.maxResponseTime)
+            setTimeout(() => reject(new Error('Request timeout')), providerData.timeout)
           ),
         ]);
         
         // Update response time
-        providerData.responseTime = Date.now() - startTime;
+        this.recordLatency(providerData, Date.now() - startTime);
         providerData.lastCheck = Date.now();
+        providerData.limiter.reward();
+        providerData.circuit.recordSuccess();
         
         return result;
 
       } catch (error) {
+        const { errorClass, retryAfter } = classifyError(error);
+
+        // A revert or an invalid request gets the same answer everywhere;
+        // the endpoint did its job
+        if (errorClass === ErrorClass.REVERT || errorClass === ErrorClass.BAD_INPUT) {
+          providerData.circuit.recordSuccess();
+          throw error;
+        }
+
         lastError = error;
-        providerData.failures++;
+        providerData.errors++;
         this.stats.failures++;
 
-        console.warn(`   ⚠️  Provider [${this.currentProviderIndex}] failed (${context}):`, error.message);
+        // Throttling pauses the endpoint but says nothing about its health
+        const rateLimited = errorClass === ErrorClass.RATE_LIMITED;
+        if (rateLimited) {
+          providerData.rateLimited++;
+          providerData.limiter.penalize(retryAfter);
+          providerData.circuit.release();
+        } else {
+          providerData.failures++;
+          providerData.circuit.recordFailure(`${errorClass}: ${error.message}`);
+        }
 
-        // Mark as unhealthy if too many failures
-        if (providerData.failures > 3) {
-          providerData.healthy = false;
-          console.error(`   ❌ Provider [${this.currentProviderIndex}] marked as unhealthy`);
+        // A timeout is a (very) slow response for the latency strategy
+        if (error.message === 'Request timeout') {
+          this.recordLatency(providerData, providerData.timeout);
         }
 
-        // Try next provider
+        console.warn(`   ⚠️  Provider [${index}] failed (${context}, ${errorClass}):`, error.message);
+
+        // Try next provider (priority mode also moves the active endpoint,
+        // unless it is only throttled)
         if (attempt < maxAttempts - 1) {
-          this.failover();
+          if (this.strategy === 'priority' && !rateLimited) {
+            this.failover();
+          } else {
+            this.stats.failovers++;
+          }
         }
+      } finally {
+        providerData.inFlight--;
       }
     }
 
-    throw new Error(`All RPC providers failed: ${lastError?.message}`);
+    // Keep the last error's class so callers' retries can act on it
+    const { errorClass, retryAfter } = classifyError(lastError);
+    throw new ClassifiedError(`All RPC providers failed: ${lastError?.message || 'no healthy provider'}`, {
+      errorClass,
+      retryAfter,
+      cause: lastError,
+    });
+  }
+
+  /**
+   * Run a read on several in-sync endpoints and require them to agree
+   * 
+   * All endpoints read at the same block (the lowest head among them) so
+   * nodes a block or two apart still compare equal. With a quorum of 1
+   * this is a plain executeWithFailover.
+   * 
+   * @param {Function} fn - (provider, blockTag) => Promise
+   * @param {string} context - Label for logs
+   * @param {number} quorum - Number of endpoints that must return the same result
+   */
+  async executeWithConsensus(fn, context = 'RPC call', quorum = this.consensusQuorum) {
+    if (quorum <= 1) {
+      return this.executeWithFailover(provider => fn(provider, 'latest'), context);
+    }
+
+    this.stats.requests++;
+
+    const indexes = [];
+    this.providers.forEach((providerData, index) => {
+      if (providerData.provider && providerData.circuit.state === 'closed' && !providerData.lagging && providerData.blockNumber !== null) {
+        indexes.push(index);
+      }
+    });
+
+    if (indexes.length < quorum) {
+      this.stats.consensusFailures++;
+      throw new Error(`${context} needs ${quorum} in-sync RPC providers, only ${indexes.length} available`);
+    }
+
+    const blockTag = Math.min(...indexes.map(index => this.providers[index].blockNumber));
+
+    const results = await Promise.allSettled(indexes.map(async index => {
+      await this.providers[index].limiter.take();
+      return Promise.race([
+        fn(this.providers[index].provider, blockTag),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Request timeout')), this.providers[index].timeout)
+        ),
+      ]);
+    }));
+
+    // Group identical answers
+    const groups = new Map();
+    for (const result of results) {
+      if (result.status !== 'fulfilled') {
+        continue;
+      }
+      const key = JSON.stringify(result.value, (_, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      );
+      const group = groups.get(key) || { value: result.value, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    }
+
+    const best = [...groups.values()].sort((a, b) => b.count - a.count)[0];
+    if (!best || best.count < quorum) {
+      this.stats.consensusFailures++;
+      throw new Error(`No RPC consensus for ${context} at block ${blockTag} (${best?.count || 0}/${quorum} agree)`);
+    }
+
+    return best.value;
   }
 
   /**
@@ -199,7 +694,8 @@ export class MultiRPCProviderService {
     do {
       this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
       
-      if (this.providers[this.currentProviderIndex]?.healthy) {
+      const next = this.providers[this.currentProviderIndex];
+      if (next?.healthy && !next.lagging) {
         this.stats.failovers++;
         console.log(`   🔄 Failover: [${oldIndex}] → [${this.currentProviderIndex}]`);
         return;
@@ -229,6 +725,48 @@ export class MultiRPCProviderService {
     }, this.healthCheckInterval);
   }
 
+  /**
+   * Start periodic block height comparison (more frequent than health checks)
+   */
+  startHeightChecks() {
+    if (this.heightCheckTimer || this.providers.length < 2) {
+      return;
+    }
+
+    this.heightCheckTimer = setInterval(() => {
+      this.checkBlockHeights();
+    }, this.heightCheckInterval);
+  }
+
+  /**
+   * Fetch every endpoint's head block and flag the ones falling behind
+   * (concurrent callers share the check in progress)
+   */
+  checkBlockHeights() {
+    if (!this.heightCheckInFlight) {
+      this.heightCheckInFlight = this.fetchBlockHeights().finally(() => {
+        this.heightCheckInFlight = null;
+      });
+    }
+    return this.heightCheckInFlight;
+  }
+
+  async fetchBlockHeights() {
+    await Promise.allSettled(this.providers.map(async (providerData, index) => {
+      if (!providerData.provider || providerData.circuit.state !== 'closed' || providerData.limiter.exhausted) {
+        return;
+      }
+      await providerData.limiter.take();
+      const blockNumber = await Promise.race([
+        providerData.provider.getBlockNumber(),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Height check timeout')), providerData.timeout)
+        ),
+      ]);
+      this.recordBlockNumber(index, blockNumber);
+    }));
+  }
+
   /**
    * Perform health checks on all providers
    */
@@ -239,58 +777,62 @@ export class MultiRPCProviderService {
       const providerData = this.providers[i];
 
       if (!providerData.provider) {
-        // Try to reconnect dead provider
+        // Try to reconnect dead provider (endpoints on the wrong chain stay out)
+        if (providerData.wrongChainId !== null) {
+          continue;
+        }
         try {
-          const provider = new ethers.JsonRpcProvider(providerData.url);
-          await provider.getBlockNumber(); // Quick test
+          const { provider, network, blockNumber } = await this.connectEndpoint(providerData);
           
           providerData.provider = provider;
-          providerData.healthy = true;
-          providerData.failures = 0;
+          providerData.network = network;
+          providerData.blockNumber = blockNumber;
+          this.network = this.network || network;
           console.log(`   ✅ Provider [${i}] reconnected`);
         } catch (error) {
-          // Still dead
-          providerData.healthy = false;
+          if (providerData.wrongChainId !== null) {
+            console.error(`   ❌ Provider [${i}] refused: ${error.message}`);
+          }
         }
         continue;
       }
 
+      // Open circuits are left alone until their cool-down has passed;
+      // after that this check is the half-open probe
+      if (!providerData.circuit.allowsRequest()) {
+        continue;
+      }
+      providerData.circuit.onRequest();
+
       try {
+        await providerData.limiter.take();
         const startTime = Date.now();
-        await Promise.race([
+        const blockNumber = await Promise.race([
           providerData.provider.getBlockNumber(),
           new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Health check timeout')), 5000)
+            setTimeout(() => reject(new Error('Health check timeout')), providerData.timeout)
           ),
         ]);
 
         const responseTime = Date.now() - startTime;
-        providerData.responseTime = responseTime;
+        this.recordLatency(providerData, responseTime);
         providerData.lastCheck = Date.now();
-
-        if (!providerData.healthy && providerData.failures > 0) {
-          // Recovered!
-          providerData.healthy = true;
-          providerData.failures = 0;
-          console.log(`   ✅ Provider [${i}] recovered (${responseTime}ms)`);
-        }
+        this.recordBlockNumber(i, blockNumber);
+        providerData.circuit.recordSuccess();
 
       } catch (error) {
         providerData.failures++;
-        
-        if (providerData.healthy && providerData.failures > 2) {
-          providerData.healthy = false;
-          console.warn(`   ⚠️  Provider [${i}] failed health check, marked unhealthy`);
-        }
+        providerData.circuit.recordFailure(`health check: ${error.message}`);
       }
     }
 
-    // Switch to better provider if current is slow
+    // Switch to better provider if current is slow (other strategies
+    // balance on latency per request)
     const current = this.providers[this.currentProviderIndex];
-    if (current.healthy && current.responseTime > 3000) {
+    if (this.strategy === 'priority' && current.healthy && current.responseTime > 3000) {
       // Find faster provider
       const fasterIndex = this.providers.findIndex(
-        (p, i) => p.healthy && p.responseTime < current.responseTime && i !== this.currentProviderIndex
+        (p, i) => p.healthy && !p.lagging && p.responseTime < current.responseTime && i !== this.currentProviderIndex
       );
       
       if (fasterIndex !== -1) {
@@ -304,16 +846,32 @@ export class MultiRPCProviderService {
    * Wrapper methods for common RPC calls with automatic failover
    */
   async getBlockNumber() {
-    return this.executeWithFailover(
-      provider => provider.getBlockNumber(),
-      'getBlockNumber'
-    );
+    // An endpoint found lagging by its own answer is skipped on the next try
+    for (let attempt = 0; attempt < this.providers.length; attempt++) {
+      let servedBy = null;
+      const blockNumber = await this.executeWithFailover(
+        async (provider, index) => {
+          const result = await provider.getBlockNumber();
+          servedBy = index;
+          this.recordBlockNumber(index, result);
+          return result;
+        },
+        'getBlockNumber'
+      );
+
+      if (!this.providers[servedBy]?.lagging || this.providers.every(p => p.lagging || !p.healthy)) {
+        return blockNumber;
+      }
+    }
+
+    throw new Error('All RPC providers are lagging');
   }
 
   async getBlock(blockNumber) {
     return this.executeWithFailover(
       provider => provider.getBlock(blockNumber),
-      'getBlock'
+      'getBlock',
+      { minBlock: typeof blockNumber === 'number' ? blockNumber : null }
     );
   }
 
@@ -332,9 +890,18 @@ export class MultiRPCProviderService {
   }
 
   async getLogs(filter) {
+    // A node that hasn't reached toBlock returns incomplete logs
     return this.executeWithFailover(
       provider => provider.getLogs(filter),
-      'getLogs'
+      'getLogs',
+      { minBlock: typeof filter.toBlock === 'number' ? filter.toBlock : null }
+    );
+  }
+
+  async getCode(address) {
+    return this.executeWithFailover(
+      provider => provider.getCode(address),
+      'getCode'
     );
   }
 
@@ -359,16 +926,33 @@ export class MultiRPCProviderService {
   getStats() {
     return {
       ...this.stats,
+      strategy: this.strategy,
       providers: this.providers.map((p, i) => ({
         index: i,
         url: p.url,
+        name: p.name,
+        archive: p.archive,
+        wrongChainId: p.wrongChainId,
+        weight: p.weight,
         healthy: p.healthy,
         responseTime: p.responseTime,
+        ewmaLatency: p.ewmaLatency === null ? null : Math.round(p.ewmaLatency),
+        blockNumber: p.blockNumber,
+        lag: p.lag,
+        lagging: p.lagging,
+        rateLimited: p.rateLimited,
+        limiter: p.limiter.getStats(),
+        inFlight: p.inFlight,
+        requests: p.requests,
+        errors: p.errors,
         failures: p.failures,
+        circuit: p.circuit.getStats(),
         lastCheck: p.lastCheck,
         isCurrent: i === this.currentProviderIndex,
       })),
       healthyProviders: this.providers.filter(p => p.healthy).length,
+      laggingProviders: this.providers.filter(p => p.healthy && p.lagging).length,
+      recentTransitions: this.recentTransitions,
       totalProviders: this.providers.length,
     };
   }
@@ -384,6 +968,15 @@ export class MultiRPCProviderService {
       clearInterval(this.healthCheckTimer);
       this.healthCheckTimer = null;
     }
+    if (this.heightCheckTimer) {
+      clearInterval(this.heightCheckTimer);
+      this.heightCheckTimer = null;
+    }
+
+    if (this.failoverProvider) {
+      this.failoverProvider.destroy();
+      this.failoverProvider = null;
+    }
 
     // Disconnect all providers
     for (const providerData of this.providers) {
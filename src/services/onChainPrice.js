@@ -0,0 +1,155 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { getMulticall } from '../utils/multicall.js';
+
+// Minimal Pair ABI
+const PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+];
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+];
+
+/**
+ * On-Chain Price Service
+ *
+ * Prices the native token (BNB/ETH/...) from the reserves of reference
+ * pools pairing the wrapped native token with USD stablecoins. Each pool
+ * gives a price (stable reserve / native reserve); the result is the
+ * median weighted by each pool's stable-side liquidity, so one thin or
+ * manipulated pool can't move it.
+ *
+ * Pool tokens and decimals are read once; each update is a single
+ * Multicall3 batch of getReserves() calls.
+ */
+export class OnChainPriceService {
+  /**
+   * @param {ethers.Provider} provider - Failover-aware ethers provider
+   * @param {Object} options - Overrides of config.priceCache.onChain
+   */
+  constructor(provider, options = {}) {
+    const settings = { ...config.priceCache?.onChain, ...options };
+
+    this.provider = provider;
+    this.multicall = getMulticall(provider);
+    this.wrappedNative = settings.wrappedNative?.toLowerCase() || null;
+    this.pools = settings.pools || [];
+    this.minPoolLiquidity = settings.minPoolLiquidity ?? 100000;
+    this.poolInfo = new Map(); // address -> { nativeIsToken0, stableDecimals } (null = unusable)
+  }
+
+  /**
+   * Native token price in USD
+   *
+   * @returns {Promise<{price: number, pools: Array<{name, address, price, liquidityUSD}>}>}
+   * @throws If no reference pool could be read or none is liquid enough
+   */
+  async fetchNativePrice() {
+    if (!this.wrappedNative || this.pools.length === 0) {
+      throw new Error(`No reference pools configured for chain ${config.chainId}`);
+    }
+
+    const results = await Promise.allSettled(this.pools.map(pool => this.readPool(pool)));
+
+    const quotes = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`   ⚠️  Reference pool ${this.pools[index].name} failed:`, result.reason?.message);
+      } else if (result.value && result.value.liquidityUSD >= this.minPoolLiquidity) {
+        quotes.push(result.value);
+      }
+    });
+
+    if (quotes.length === 0) {
+      throw new Error('No liquid reference pool available');
+    }
+
+    return {
+      price: weightedMedian(quotes.map(quote => ({ value: quote.price, weight: quote.liquidityUSD }))),
+      pools: quotes,
+    };
+  }
+
+  /**
+   * Price and stable-side liquidity of one reference pool (null if the
+   * pool doesn't pair the wrapped native token)
+   */
+  async readPool(pool) {
+    const pairContract = new ethers.Contract(pool.address, PAIR_ABI, this.provider);
+    const info = await this.getPoolInfo(pool, pairContract);
+    if (!info) {
+      return null;
+    }
+
+    const [reserve0, reserve1] = await this.multicall.call(pairContract, 'getReserves');
+    const nativeReserve = Number(ethers.formatUnits(info.nativeIsToken0 ? reserve0 : reserve1, 18));
+    const stableReserve = Number(ethers.formatUnits(info.nativeIsToken0 ? reserve1 : reserve0, info.stableDecimals));
+
+    if (nativeReserve === 0) {
+      return null;
+    }
+
+    return {
+      name: pool.name,
+      address: pool.address,
+      price: stableReserve / nativeReserve,
+      liquidityUSD: stableReserve,
+    };
+  }
+
+  /**
+   * Which side is the native token, and the stablecoin's decimals
+   * (read once per pool; pair tokens never change)
+   */
+  async getPoolInfo(pool, pairContract) {
+    const key = pool.address.toLowerCase();
+    if (this.poolInfo.has(key)) {
+      return this.poolInfo.get(key);
+    }
+
+    const [token0, token1] = await Promise.all([
+      this.multicall.call(pairContract, 'token0'),
+      this.multicall.call(pairContract, 'token1'),
+    ]);
+
+    const nativeIsToken0 = token0.toLowerCase() === this.wrappedNative;
+    if (!nativeIsToken0 && token1.toLowerCase() !== this.wrappedNative) {
+      console.warn(`   ⚠️  Reference pool ${pool.name} (${pool.address}) doesn't contain the wrapped native token, ignored`);
+      this.poolInfo.set(key, null);
+      return null;
+    }
+
+    const stableContract = new ethers.Contract(nativeIsToken0 ? token1 : token0, ERC20_ABI, this.provider);
+    const stableDecimals = Number(await this.multicall.call(stableContract, 'decimals'));
+
+    const info = { nativeIsToken0, stableDecimals };
+    this.poolInfo.set(key, info);
+    return info;
+  }
+}
+
+/**
+ * Value at which half of the total weight lies on either side
+ *
+ * @param {Array<{value: number, weight: number}>} entries
+ */
+export function weightedMedian(entries) {
+  const sorted = [...entries].sort((a, b) => a.value - b.value);
+  const half = sorted.reduce((sum, entry) => sum + entry.weight, 0) / 2;
+
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (cumulative > half) {
+      return sorted[i].value;
+    }
+    // Exactly half: between this value and the next
+    if (cumulative === half && i + 1 < sorted.length) {
+      return (sorted[i].value + sorted[i + 1].value) / 2;
+    }
+  }
+  return sorted[sorted.length - 1].value;
+}
@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import { config } from '../config.js';
+import { config, getNativeSymbol } from '../config.js';
 import { TelegramService } from './telegram.js';
 import { TokenService } from './token.js';
 import { MultiRPCProviderService } from './multiRPCProvider.js';
@@ -7,6 +7,39 @@ import { PriceCacheV2Service } from './priceCacheV2.js';
 import { VolumeAnalyzerService } from './volumeAnalyzer.js';
 import { LiquidityFilterV2Service } from './liquidityFilterV2.js';
 import { SecurityChecksService } from './securityChecks.js';
+import { BlockCursorService } from './blockCursor.js';
+import { ReevaluationQueueService } from './reevaluationQueue.js';
+import { MintWatcherService } from './mintWatcher.js';
+import { DedupeStoreService } from './dedupeStore.js';
+import { MempoolWatcherService } from './mempoolWatcher.js';
+import { InitialLiquidityService } from './initialLiquidity.js';
+import { DormantPairWatcherService } from './dormantPairWatcher.js';
+import { ReorgTracker } from './reorgTracker.js';
+import { ChunkedLogScanner } from '../utils/chunkedLogs.js';
+import { WorkerPool } from '../utils/workerPool.js';
+
+// Factory creation events for each factory flavor
+const V2_FACTORY_ABI = [
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)',
+];
+const V3_FACTORY_ABI = [
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
+];
+const SOLIDLY_FACTORY_ABI = [
+  'event PairCreated(address indexed token0, address indexed token1, bool stable, address pair, uint256)',
+];
+
+const FACTORY_EVENTS = {
+  v2: new ethers.Interface(V2_FACTORY_ABI).getEvent('PairCreated'),
+  v3: new ethers.Interface(V3_FACTORY_ABI).getEvent('PoolCreated'),
+  solidly: new ethers.Interface(SOLIDLY_FACTORY_ABI).getEvent('PairCreated'),
+};
+
+const factoryInterface = new ethers.Interface([
+  ...V2_FACTORY_ABI,
+  ...V3_FACTORY_ABI,
+  ...SOLIDLY_FACTORY_ABI,
+]);
 
 /**
  * Pair Monitor V2 Service
@@ -21,16 +54,58 @@ import { SecurityChecksService } from './securityChecks.js';
  * Sprint 1 - ~380 lines of code
  */
 export class PairMonitorV2Service {
-  constructor(provider = null) {
+  /**
+   * @param {Object} provider - Multi-RPC provider (created on initialize if null)
+   * @param {Object} options
+   * @param {Object} options.telegram - Alert sink (default: TelegramService)
+   * @param {Object} options.dedupeStore - Dedupe store (default: shared Redis/LRU store)
+   * @param {boolean} options.reevaluate - Re-check filtered pairs later (default: true)
+   * @param {boolean} options.watchDormant - Watch unfunded/drained pairs for relaunches (default: true)
+   */
+  constructor(provider = null, options = {}) {
     // Use Multi-RPC provider if available, fallback to single provider
     this.provider = provider;
-    this.telegram = new TelegramService();
+    this.telegram = options.telegram || new TelegramService();
     this.tokenService = null; // Will be initialized after provider
     this.priceCache = new PriceCacheV2Service();
     this.volumeAnalyzer = new VolumeAnalyzerService();
     this.liquidityFilter = null; // Will be initialized after priceCache
     this.securityChecks = null; // Will be initialized after provider
-    this.processedPairs = new Set();
+    this.initialLiquidity = null; // Will be initialized after provider
+    this.blockCursor = new BlockCursorService();
+    this.reevaluationQueue = new ReevaluationQueueService();
+    this.reevaluationInterval = null;
+    this.isReevaluating = false;
+    this.mintWatcher = null; // Will be initialized after provider
+    this.mempoolWatcher = null; // Optional, see config.mempool
+    this.dormantWatcher = null; // Will be initialized after provider
+    this.pendingLaunches = new Map(); // txHash -> launch seen in the mempool, awaiting its pair
+    this.logScanner = new ChunkedLogScanner();
+    this.reorgTracker = new ReorgTracker();
+    this.confirmations = config.reorg?.confirmations ?? 3;
+    this.factories = config.factories;
+    this.factoriesByAddress = new Map(
+      this.factories.map(factory => [factory.address.toLowerCase(), factory])
+    );
+    this.lastBlock = null;
+    this.isChecking = false;
+    
+    // Bounded processing stages so a burst of pairs is analyzed concurrently
+    this.pipeline = {
+      analysis: new WorkerPool('analysis', config.pipeline?.analysisConcurrency || 4),
+      enrichment: new WorkerPool('enrichment', config.pipeline?.enrichmentConcurrency || 2),
+      alert: new WorkerPool('alert', config.pipeline?.alertConcurrency || 1),
+    };
+    
+    // WebSocket subscription mode (optional)
+    this.wsUrl = config.rpc?.wsUrl || null;
+    this.wsProvider = null;
+    this.wsHeartbeatTimer = null;
+    this.wsReconnectTimer = null;
+    this.wsReconnectAttempts = 0;
+    this.dedupeStore = options.dedupeStore || new DedupeStoreService();
+    this.reevaluate = options.reevaluate !== false;
+    this.watchDormant = options.watchDormant !== false;
     this.isMonitoring = false;
     this.pollInterval = null;
     this.statsInterval = null;
@@ -48,6 +123,16 @@ export class PairMonitorV2Service {
       errors: 0,
       rpcFailovers: 0,
       cacheHits: 0,
+      reorgs: 0,
+      orphaned: 0,
+      wsReconnects: 0,
+      byDex: {},
+      reevaluated: 0,
+      recovered: 0,
+      mintTriggered: 0,
+      pendingLaunches: 0,
+      launchesMined: 0,
+      relaunches: 0,
     };
   }
 
@@ -60,26 +145,59 @@ export class PairMonitorV2Service {
       await this.provider.initialize();
     }
 
-    // Get the actual provider instance
-    const actualProvider = this.provider.getProvider ? this.provider.getProvider() : this.provider.provider;
+    // ethers provider for contract calls (routed through failover)
+    const actualProvider = this.getActualProvider();
     
     // Initialize dependent services
     this.tokenService = new TokenService(this.provider);
     this.securityChecks = new SecurityChecksService(actualProvider);
+    this.initialLiquidity = new InitialLiquidityService(this.provider, this.factories);
+    
+    // Initialize price cache (on-chain BNB price through the same provider)
+    await this.priceCache.initialize(actualProvider);
+    
+    // Initialize persistent block cursor
+    await this.blockCursor.initialize();
     
-    // Initialize price cache
-    await this.priceCache.initialize();
+    // Initialize persistent dedupe (seen/alerted pairs)
+    await this.dedupeStore.initialize();
+    
+    if (this.reevaluate) {
+      // Initialize re-check queue for pairs without liquidity yet
+      await this.reevaluationQueue.initialize();
+      
+      // Watch queued pairs for their first liquidity add
+      if (config.mintWatch?.enabled !== false) {
+        this.mintWatcher = new MintWatcherService(this.provider, this.reevaluationQueue);
+      }
+    }
+    
+    // Watch unfunded/drained pairs for a later liquidity add
+    if (this.watchDormant && config.dormant?.enabled !== false) {
+      this.dormantWatcher = new DormantPairWatcherService(this.provider);
+      await this.dormantWatcher.initialize();
+    }
+    
+    if (config.mempool?.enabled) {
+      this.mempoolWatcher = new MempoolWatcherService(this.provider, this.factories);
+    }
     
     // Initialize liquidity filter with all dependencies
     this.liquidityFilter = new LiquidityFilterV2Service(
       actualProvider,
       this.priceCache,
-      this.volumeAnalyzer
+      this.volumeAnalyzer,
+      this.provider.executeWithConsensus ? this.provider : null
     );
     
     // Initialize Telegram bot
     this.telegram.initialize();
     
+    // Endpoint circuit changes go to the admin chat
+    if (this.provider.onCircuitTransition) {
+      this.provider.onCircuitTransition(transition => this.telegram.sendCircuitTransition(transition));
+    }
+    
     // Send startup notification
     await this.telegram.sendStartupMessage();
     
@@ -104,6 +222,22 @@ export class PairMonitorV2Service {
       }, config.monitoring.statsInterval);
     }
     
+    this.reevaluationInterval = setInterval(() => {
+      this.processReevaluations();
+    }, config.reevaluation?.checkInterval || 30000);
+    
+    if (this.mintWatcher) {
+      await this.mintWatcher.start((pairAddress, log) => this.handleLiquidityAdded(pairAddress, log));
+    }
+    
+    if (this.mempoolWatcher) {
+      await this.mempoolWatcher.start(launch => this.handlePendingLaunch(launch));
+    }
+    
+    if (this.dormantWatcher) {
+      await this.dormantWatcher.start((entry, reserves, log) => this.handleRelaunch(entry, reserves, log));
+    }
+    
     await this.monitorPairs();
   }
 
@@ -116,11 +250,26 @@ export class PairMonitorV2Service {
       this.pollInterval = null;
     }
     
+    await this.stopWebSocket();
+    
     if (this.statsInterval) {
       clearInterval(this.statsInterval);
       this.statsInterval = null;
     }
     
+    if (this.reevaluationInterval) {
+      clearInterval(this.reevaluationInterval);
+      this.reevaluationInterval = null;
+    }
+    
+    if (this.mintWatcher) {
+      this.mintWatcher.stop();
+    }
+    
+    if (this.mempoolWatcher) {
+      await this.mempoolWatcher.stop();
+    }
+    
     // Send shutdown message with final statistics
     if (this.startTime) {
       const uptime = Date.now() - this.startTime;
@@ -129,6 +278,13 @@ export class PairMonitorV2Service {
     
     // Shutdown services
     await this.priceCache.shutdown();
+    await this.blockCursor.shutdown();
+    await this.reevaluationQueue.shutdown();
+    await this.dedupeStore.shutdown();
+    
+    if (this.dormantWatcher) {
+      await this.dormantWatcher.shutdown();
+    }
     
     if (this.provider.disconnect) {
       await this.provider.disconnect();
@@ -143,122 +299,553 @@ export class PairMonitorV2Service {
   }
 
   async monitorPairs() {
-    const factoryAddress = config.factory.address;
     const pollInterval = config.monitoring.eventPollInterval;
 
-    console.log(`🔍 Monitoring factory: ${factoryAddress}`);
+    console.log(`🔍 Monitoring ${this.factories.length} factories:`);
+    this.factories.forEach(factory => console.log(`   • ${factory.name}: ${factory.address}`));
     console.log(`💧 3-Tier Filtering System:`);
     console.log(`   🌟 Early Gems: $${this.liquidityFilter.tiers.earlyGems.minLiquidity.toLocaleString()}+ (VIP only)`);
     console.log(`   💎 High Liquidity: $${this.liquidityFilter.tiers.highLiquidity.minLiquidityVIP.toLocaleString()}+ (VIP) / $${this.liquidityFilter.tiers.highLiquidity.minLiquidityPublic.toLocaleString()}+ (Public)`);
     console.log(`   🚀 Mega Pairs: $${this.liquidityFilter.tiers.mega.minLiquidity.toLocaleString()}+ (All)`);
     console.log(`⏱️  Poll interval: ${pollInterval}ms\n`);
 
-    // Factory ABI
-    const factoryAbi = [
-      'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)'
-    ];
+    // Get starting block (only blocks with enough confirmations are scanned)
+    const headBlock = await this.getConfirmedBlockNumber();
+    
+    this.lastBlock = await this.resolveStartBlock(headBlock);
+    
+    if (this.lastBlock < headBlock) {
+      console.log(`📍 Resuming from block: ${this.lastBlock} (catching up ${headBlock - this.lastBlock} blocks)\n`);
+    } else {
+      console.log(`📍 Starting from block: ${this.lastBlock}\n`);
+    }
+    console.log(`🧱 Confirmations required: ${this.confirmations}\n`);
 
-    // Get provider
-    const actualProvider = this.provider.getProvider ? this.provider.getProvider() : this.provider.provider;
+    // Initial check (also catches up on blocks missed while stopped)
+    await this.checkForNewPairs();
 
-    const factory = new ethers.Contract(
-      factoryAddress,
-      factoryAbi,
-      actualProvider
-    );
+    // Set up polling (in WebSocket mode it confirms and backfills subscription events)
+    this.pollInterval = setInterval(() => this.checkForNewPairs(), pollInterval);
 
-    // Get starting block
-    let lastBlock;
-    if (this.provider.getBlockNumber) {
-      lastBlock = await this.provider.getBlockNumber();
+    if (this.wsUrl) {
+      await this.startWebSocket();
     } else {
-      lastBlock = await actualProvider.getBlockNumber();
+      console.log('📡 No RPC_WS_URL configured, using polling mode only\n');
     }
-    
-    console.log(`📍 Starting from block: ${lastBlock}\n`);
+  }
 
-    const checkForNewPairs = async () => {
-      try {
-        // Get current block
-        let currentBlock;
-        if (this.provider.getBlockNumber) {
-          currentBlock = await this.provider.getBlockNumber();
-        } else {
-          currentBlock = await actualProvider.getBlockNumber();
+  /**
+   * Subscribe to PairCreated logs over WebSocket for near-instant detection
+   */
+  async startWebSocket() {
+    try {
+      console.log(`📡 Connecting WebSocket: ${this.wsUrl}`);
+      
+      this.wsProvider = new ethers.WebSocketProvider(this.wsUrl);
+      await Promise.race([
+        this.wsProvider.getNetwork(),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Connection timeout')), 10000)
+        ),
+      ]);
+
+      const websocket = this.wsProvider.websocket;
+      websocket.onclose = () => this.scheduleWebSocketReconnect('connection closed');
+      websocket.onerror = (error) => this.scheduleWebSocketReconnect(error?.message || 'socket error');
+
+      await this.wsProvider.on(this.getPairCreatedFilter(), (log) => {
+        const event = this.toPairCreatedEvent(log);
+        if (event) {
+          this.handleWebSocketEvent(event).catch(error => {
+            console.error('❌ Error handling WebSocket event:', error.message);
+            this.stats.errors++;
+          });
         }
+      });
 
-        if (currentBlock > lastBlock) {
-          console.log(`🔎 Checking blocks ${lastBlock + 1} to ${currentBlock}...`);
+      // Dead connections do not always emit close; ping to notice them
+      this.wsHeartbeatTimer = setInterval(async () => {
+        try {
+          await Promise.race([
+            this.wsProvider.getBlockNumber(),
+            new Promise((_, reject) => 
+              setTimeout(() => reject(new Error('Heartbeat timeout')), 10000)
+            ),
+          ]);
+        } catch (error) {
+          this.scheduleWebSocketReconnect(error.message);
+        }
+      }, config.rpc?.wsHeartbeatInterval || 30000);
 
-          const filter = factory.filters.PairCreated();
-          const events = await factory.queryFilter(filter, lastBlock + 1, currentBlock);
+      this.wsReconnectAttempts = 0;
+      console.log('✅ WebSocket subscription active (PairCreated)\n');
 
-          if (events.length > 0) {
-            console.log(`✨ Found ${events.length} new pair(s)!\n`);
+    } catch (error) {
+      console.warn('⚠️  WebSocket subscription failed:', error.message);
+      this.scheduleWebSocketReconnect(error.message);
+    }
+  }
 
-            for (const event of events) {
-              await this.processPairCreatedEvent(event);
-            }
-          } else {
-            console.log(`   No new pairs found`);
-          }
+  /**
+   * Tear down the socket and reconnect with exponential backoff
+   * 
+   * After reconnecting, the polling path backfills anything emitted while
+   * the subscription was down. Polling keeps running meanwhile.
+   */
+  scheduleWebSocketReconnect(reason) {
+    if (!this.isMonitoring || this.wsReconnectTimer) {
+      return;
+    }
+
+    this.stats.wsReconnects++;
+    const delay = Math.min(
+      config.backoff.initialDelay * Math.pow(2, this.wsReconnectAttempts),
+      config.backoff.maxDelay
+    );
+    this.wsReconnectAttempts++;
+
+    console.warn(`⚠️  WebSocket disconnected (${reason}), reconnecting in ${delay}ms (polling continues)`);
 
-          lastBlock = currentBlock;
+    this.stopWebSocket().finally(() => {
+      this.wsReconnectTimer = setTimeout(async () => {
+        this.wsReconnectTimer = null;
+        if (!this.isMonitoring) {
+          return;
         }
-        
-        // Track RPC failovers if using Multi-RPC
-        if (this.provider.getStats) {
-          const rpcStats = this.provider.getStats();
-          this.stats.rpcFailovers = rpcStats.failovers;
+
+        await this.startWebSocket();
+
+        if (this.wsProvider) {
+          console.log('🔄 Backfilling blocks missed while disconnected...');
+          await this.checkForNewPairs();
         }
+      }, delay);
+    });
+  }
+
+  async stopWebSocket() {
+    if (this.wsHeartbeatTimer) {
+      clearInterval(this.wsHeartbeatTimer);
+      this.wsHeartbeatTimer = null;
+    }
+
+    if (this.wsReconnectTimer && !this.isMonitoring) {
+      clearTimeout(this.wsReconnectTimer);
+      this.wsReconnectTimer = null;
+    }
 
+    if (this.wsProvider) {
+      const wsProvider = this.wsProvider;
+      this.wsProvider = null;
+
+      try {
+        wsProvider.websocket.onclose = null;
+        wsProvider.websocket.onerror = null;
+        await wsProvider.destroy();
       } catch (error) {
-        console.error('❌ Error checking for new pairs:', error.message);
-        this.stats.errors++;
-        
-        // Only send critical error notifications
-        if (error.message.includes('CALL_EXCEPTION') || error.message.includes('missing revert')) {
-          await this.telegram.sendError(error);
+        // Ignore disconnect errors
+      }
+    }
+  }
+
+  /**
+   * Process a PairCreated log pushed by the WebSocket subscription
+   * 
+   * The log has no confirmations yet; the polling path confirms it once the
+   * block is deep enough and retracts it if it disappeared.
+   */
+  async handleWebSocketEvent(log) {
+    if (!log || log.removed) {
+      return;
+    }
+
+    console.log(`📡 PairCreated received via WebSocket (block ${log.blockNumber})`);
+    await this.processPairCreatedEvent(log, { unconfirmed: true });
+  }
+
+  async checkForNewPairs() {
+    // A long catch-up scan can outlast the poll interval
+    if (this.isChecking) {
+      return;
+    }
+    this.isChecking = true;
+
+    try {
+      // Roll back first if blocks we already scanned were replaced
+      await this.handleReorg();
+
+      // Get current confirmed block
+      const currentBlock = await this.getConfirmedBlockNumber();
+
+      if (currentBlock > this.lastBlock) {
+        console.log(`🔎 Checking blocks ${this.lastBlock + 1} to ${currentBlock}...`);
+
+        let found = 0;
+
+        // Query in adaptive chunks; the cursor advances after each completed chunk
+        // so a failure part-way through neither re-scans nor skips blocks
+        await this.logScanner.scan(
+          this.lastBlock + 1,
+          currentBlock,
+          (fromBlock, toBlock) => this.queryPairCreatedEvents(fromBlock, toBlock),
+          async (events, fromBlock, toBlock) => {
+            if (events.length > 0) {
+              console.log(`✨ Found ${events.length} new pair(s) in blocks ${fromBlock}-${toBlock}!\n`);
+              found += events.length;
+
+              // Pairs run concurrently through the pipeline; the cursor only
+              // advances once the whole chunk has been processed
+              await Promise.all(events.map(event => this.processPairCreatedEvent(event)));
+            }
+
+            await this.confirmSubscriptionPairs(events, fromBlock, toBlock);
+
+            this.reorgTracker.recordBlock(toBlock, await this.getBlockHash(toBlock));
+            this.lastBlock = toBlock;
+            await this.blockCursor.save(this.lastBlock);
+          }
+        );
+
+        this.reorgTracker.prune(this.lastBlock);
+
+        if (found === 0) {
+          console.log(`   No new pairs found`);
         }
       }
+      
+      // Track RPC failovers if using Multi-RPC
+      if (this.provider.getStats) {
+        const rpcStats = this.provider.getStats();
+        this.stats.rpcFailovers = rpcStats.failovers;
+      }
+
+    } catch (error) {
+      console.error('❌ Error checking for new pairs:', error.message);
+      this.stats.errors++;
+      
+      // Only send critical error notifications
+      if (error.message.includes('CALL_EXCEPTION') || error.message.includes('missing revert')) {
+        await this.telegram.sendError(error);
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Log filter matching PairCreated/PoolCreated on every monitored factory
+   */
+  getPairCreatedFilter() {
+    const topics = [...new Set(this.factories.map(factory =>
+      (FACTORY_EVENTS[factory.type] || FACTORY_EVENTS.v2).topicHash
+    ))];
+
+    return {
+      address: this.factories.map(factory => factory.address),
+      topics: [topics],
     };
+  }
+
+  /**
+   * Fetch creation events of all factories with a single getLogs query
+   */
+  async queryPairCreatedEvents(fromBlock, toBlock) {
+    const logs = await this.getActualProvider().getLogs({
+      ...this.getPairCreatedFilter(),
+      fromBlock,
+      toBlock,
+    });
+    return logs
+      .map(log => this.toPairCreatedEvent(log))
+      .filter(Boolean);
+  }
+
+  /**
+   * Decode a factory log into a flavor independent event
+   * 
+   * V3 PoolCreated logs are normalized so `args.pair` is the pool address;
+   * Solidly logs carry `args.stable`.
+   */
+  toPairCreatedEvent(log) {
+    const poolType = Object.keys(FACTORY_EVENTS).find(
+      type => FACTORY_EVENTS[type].topicHash === log.topics[0]
+    );
+
+    if (!poolType) {
+      return null;
+    }
+
+    const fragment = FACTORY_EVENTS[poolType];
+    const isV3 = poolType === 'v3';
+
+    let decoded;
+    try {
+      decoded = factoryInterface.decodeEventLog(fragment, log.data, log.topics);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not decode factory log in tx ${log.transactionHash}:`, error.message);
+      return null;
+    }
+
+    return {
+      address: log.address,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      removed: log.removed,
+      poolType,
+      args: {
+        token0: decoded.token0,
+        token1: decoded.token1,
+        pair: isV3 ? decoded.pool : decoded.pair,
+        fee: isV3 ? Number(decoded.fee) : null,
+        stable: poolType === 'solidly' ? decoded.stable : null,
+      },
+    };
+  }
+
+  /**
+   * Get the DEX whose factory emitted an event
+   */
+  getFactoryForEvent(event) {
+    return this.factoriesByAddress.get(event.address.toLowerCase()) || {
+      name: 'Unknown DEX',
+      address: event.address,
+      router: null,
+      swapUrl: null,
+    };
+  }
+
+  /**
+   * Detect a chain reorganization below the cursor and recover from it
+   * 
+   * Rewinds the cursor to the last block both chains agree on so the range
+   * is re-scanned, and retracts alerts for pairs whose creation was dropped.
+   */
+  async handleReorg() {
+    const reorg = await this.reorgTracker.detectReorg(
+      this.lastBlock,
+      blockNumber => this.getBlockHash(blockNumber)
+    );
+
+    if (!reorg) {
+      return;
+    }
+
+    this.stats.reorgs++;
+    console.warn(`⚠️  Chain reorg detected! Rewinding from block ${this.lastBlock} to ${reorg.commonAncestor}`);
+
+    this.lastBlock = reorg.commonAncestor;
+    await this.blockCursor.save(this.lastBlock);
+
+    for (const pair of reorg.pairs) {
+      const code = await this.getCode(pair.pairAddress);
+
+      if (code && code !== '0x') {
+        // Pair still exists (creation moved to another block)
+        this.reorgTracker.recordPair(pair.pairAddress, pair);
+        continue;
+      }
+
+      await this.orphanPair(pair);
+    }
+  }
+
+  /**
+   * Confirm pairs seen via WebSocket against the confirmed logs of a chunk
+   * 
+   * Subscription pairs in this block range that the confirmed scan did not
+   * return were dropped before reaching the confirmation depth.
+   */
+  async confirmSubscriptionPairs(events, fromBlock, toBlock) {
+    const confirmed = new Set(events.map(event => event.args.pair.toLowerCase()));
+
+    for (const pair of this.reorgTracker.getUnconfirmedPairs(toBlock)) {
+      if (confirmed.has(pair.pairAddress.toLowerCase())) {
+        const event = events.find(e => e.args.pair.toLowerCase() === pair.pairAddress.toLowerCase());
+        this.reorgTracker.recordPair(pair.pairAddress, {
+          ...pair,
+          blockNumber: event.blockNumber,
+          blockHash: event.blockHash,
+          unconfirmed: false,
+        });
+        continue;
+      }
+
+      // Pair creation may have moved to another block; only orphan it if it is gone
+      const code = await this.getCode(pair.pairAddress);
+      if (code && code !== '0x') {
+        this.reorgTracker.recordPair(pair.pairAddress, { ...pair, blockHash: null, unconfirmed: false });
+        continue;
+      }
+
+      await this.orphanPair(pair);
+    }
+  }
+
+  /**
+   * Forget a pair dropped by a reorg and retract its alert
+   */
+  async orphanPair(pair) {
+    console.warn(`   🗑️  Pair ${pair.pairAddress} no longer exists (orphaned by reorg)`);
+    this.reorgTracker.forgetPair(pair.pairAddress);
+    await this.dedupeStore.release('seen', pair.pairAddress);
+    await this.dedupeStore.release('alerted', pair.pairAddress);
+    await this.dedupeStore.release('liquidity', pair.pairAddress);
+    await this.reevaluationQueue.remove(pair.pairAddress);
+    if (this.dormantWatcher) {
+      await this.dormantWatcher.remove(pair.pairAddress);
+    }
+    this.stats.orphaned++;
+
+    if (pair.channel) {
+      await this.telegram.sendPairOrphaned(pair, pair.channel);
+    }
+  }
+
+  /**
+   * Get the latest block number with enough confirmations
+   */
+  async getConfirmedBlockNumber() {
+    let headBlock;
+    if (this.provider.getBlockNumber) {
+      headBlock = await this.provider.getBlockNumber();
+    } else {
+      headBlock = await this.getActualProvider().getBlockNumber();
+    }
+    return Math.max(headBlock - this.confirmations, 0);
+  }
 
-    // Initial check
-    await checkForNewPairs();
+  async getBlockHash(blockNumber) {
+    const block = this.provider.getBlock
+      ? await this.provider.getBlock(blockNumber)
+      : await this.getActualProvider().getBlock(blockNumber);
+    return block?.hash || null;
+  }
+
+  async getCode(address) {
+    return this.provider.getCode
+      ? await this.provider.getCode(address)
+      : await this.getActualProvider().getCode(address);
+  }
 
-    // Set up polling
-    this.pollInterval = setInterval(checkForNewPairs, pollInterval);
+  getActualProvider() {
+    if (this.provider.getFailoverProvider) {
+      return this.provider.getFailoverProvider();
+    }
+    return this.provider.getProvider ? this.provider.getProvider() : this.provider.provider;
+  }
+
+  /**
+   * Determine the last processed block to resume from
+   * 
+   * Uses the persisted cursor, limited to the configured catch-up window.
+   * Without a cursor the scan starts at the current head.
+   */
+  async resolveStartBlock(headBlock) {
+    const savedBlock = await this.blockCursor.load();
+    
+    if (savedBlock === null) {
+      return headBlock;
+    }
+    
+    if (savedBlock >= headBlock) {
+      return headBlock;
+    }
+    
+    const maxCatchUp = config.cursor?.maxCatchUpBlocks ?? 5000;
+    const oldestAllowed = headBlock - maxCatchUp;
+    
+    if (savedBlock < oldestAllowed) {
+      console.warn(`⚠️  Saved cursor ${savedBlock} is ${headBlock - savedBlock} blocks behind head, limiting catch-up to ${maxCatchUp} blocks`);
+      return oldestAllowed;
+    }
+    
+    return savedBlock;
   }
 
-  async processPairCreatedEvent(event) {
+  async processPairCreatedEvent(event, options = {}) {
     const pairAddress = event.args.pair;
 
-    if (this.processedPairs.has(pairAddress)) {
+    if (!(await this.dedupeStore.claim('seen', pairAddress))) {
       console.log(`⏭️  Skipping already processed pair: ${pairAddress}`);
-      return;
+      return { pairAddress, status: 'duplicate' };
     }
 
-    this.processedPairs.add(pairAddress);
     this.stats.total++;
+    this.reorgTracker.recordPair(pairAddress, {
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      token0: event.args.token0,
+      token1: event.args.token1,
+      unconfirmed: !!options.unconfirmed,
+    });
+
+    const dex = this.getFactoryForEvent(event);
+    this.countDexPair(dex.name, 'detected');
 
     console.log(`\n🆕 New pair detected!`);
+    console.log(`   DEX: ${dex.name}${this.getPoolLabel(event.poolType, event.args)}`);
     console.log(`   Address: ${pairAddress}`);
     console.log(`   Block: ${event.blockNumber}`);
     console.log(`   TX: ${event.transactionHash}`);
 
+    const pendingLaunch = this.takePendingLaunch(event);
+    if (pendingLaunch) {
+      this.stats.launchesMined++;
+      console.log(`   🔭 Seen in mempool ${pendingLaunch.leadSeconds}s earlier (tx ${pendingLaunch.txHash})`);
+      event = { ...event, pendingLaunch };
+    }
+
+    const result = await this.analyzePairEvent(event, { attempt: 0, detectedAt: Date.now() });
+
+    return {
+      pairAddress,
+      dex: dex.name,
+      poolType: event.poolType,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      token0: event.args.token0,
+      token1: event.args.token1,
+      ...result,
+    };
+  }
+
+  /**
+   * Run the analysis pipeline for a detected pair and alert if it qualifies
+   * 
+   * Pairs filtered for reasons that can still change (no liquidity yet,
+   * below thresholds) are scheduled for a later re-check.
+   * 
+   * @returns {Object} Outcome: { status: 'alerted'|'filtered'|'duplicate'|'error', ... }
+   */
+  async analyzePairEvent(event, { attempt, detectedAt, triggered = false, relaunch = null }) {
+    const pairAddress = event.args.pair;
+    const dex = this.getFactoryForEvent(event);
+
     try {
-      // Step 1: Analyze volume
-      console.log('   📊 Analyzing volume...');
-      const volumeData = await this.volumeAnalyzer.analyzePair(pairAddress);
+      // Steps 1-2: Analyze volume, then liquidity with volume data
+      const { volumeData, liquidityAnalysis } = await this.pipeline.analysis.run(async () => {
+        console.log(`   📊 Analyzing volume (${pairAddress})...`);
+        const volumeData = await this.volumeAnalyzer.analyzePair(pairAddress);
+
+        console.log(`   💧 Analyzing liquidity (${pairAddress})...`);
+        const liquidityAnalysis = await this.liquidityFilter.analyzePair(pairAddress, volumeData, event.poolType);
 
-      // Step 2: Analyze liquidity with volume data
-      console.log('   💧 Analyzing liquidity...');
-      const liquidityAnalysis = await this.liquidityFilter.analyzePair(pairAddress, volumeData);
+        return { volumeData, liquidityAnalysis };
+      });
 
       if (!liquidityAnalysis.success) {
-        console.log(`   ⏭️  Filtered: ${liquidityAnalysis.message}`);
-        this.stats.filtered++;
-        return;
+        console.log(`   ⏭️  Filtered ${pairAddress}: ${liquidityAnalysis.message}`);
+        const retryable = liquidityAnalysis.reason !== 'no_known_token';
+        await this.handleFilteredPair(event, {
+          attempt,
+          detectedAt,
+          retryable,
+          relaunch,
+          reserves: liquidityAnalysis.reserves || null,
+        });
+        return { status: 'filtered', reason: liquidityAnalysis.reason, message: liquidityAnalysis.message };
       }
 
       console.log(`   💧 Liquidity: ${this.liquidityFilter.formatLiquidity(liquidityAnalysis.liquidityUSD)}`);
@@ -268,9 +855,20 @@ export class PairMonitorV2Service {
 
       // Check if meets any threshold
       if (!liquidityAnalysis.shouldAlertVIP && !liquidityAnalysis.shouldAlertPublic) {
-        console.log(`   ⏭️  Below all tier thresholds`);
-        this.stats.filtered++;
-        return;
+        console.log(`   ⏭️  ${pairAddress} below all tier thresholds`);
+        await this.handleFilteredPair(event, {
+          attempt,
+          detectedAt,
+          retryable: true,
+          relaunch,
+          reserves: liquidityAnalysis.reserves,
+        });
+        return {
+          status: 'filtered',
+          reason: 'below_thresholds',
+          tier: liquidityAnalysis.tier,
+          liquidityUSD: liquidityAnalysis.liquidityUSD,
+        };
       }
 
       // Update tier statistics
@@ -278,27 +876,43 @@ export class PairMonitorV2Service {
       if (liquidityAnalysis.tier === 'high-liquidity') this.stats.highLiquidity++;
       if (liquidityAnalysis.tier === 'mega') this.stats.mega++;
 
-      // Step 3: Fetch token information
-      console.log('   🪙 Fetching token info...');
-      const token0Info = await this.tokenService.getTokenInfo(event.args.token0);
-      const token1Info = await this.tokenService.getTokenInfo(event.args.token1);
+      // Pairs with more liquidity go ahead in the remaining stages
+      const priority = liquidityAnalysis.liquidityUSD || 0;
 
-      console.log(`   Token0: ${token0Info.symbol} (${token0Info.name})`);
-      console.log(`   Token1: ${token1Info.symbol} (${token1Info.name})`);
+      // Steps 3-4: Fetch token information, run security checks, decode the launch
+      const { token0Info, token1Info, securityChecks, initialLiquidity } = await this.pipeline.enrichment.run(async () => {
+        console.log(`   🪙 Fetching token info (${pairAddress})...`);
+        const token0Info = await this.tokenService.getTokenInfo(event.args.token0);
+        const token1Info = await this.tokenService.getTokenInfo(event.args.token1);
 
-      // Step 4: Security checks
-      console.log('   🔒 Running security checks...');
-      const securityChecks = await this.securityChecks.performChecks(
-        event.args.token0,
-        pairAddress
-      );
+        console.log(`   Token0: ${token0Info.symbol} (${token0Info.name})`);
+        console.log(`   Token1: ${token1Info.symbol} (${token1Info.name})`);
+
+        console.log(`   🔒 Running security checks (${pairAddress})...`);
+        const securityChecks = await this.securityChecks.performChecks(
+          event.args.token0,
+          pairAddress
+        );
+
+        console.log(`   🧪 Decoding initial liquidity (${pairAddress})...`);
+        const initialLiquidity = await this.initialLiquidity.analyze(event, token0Info, token1Info);
+
+        return { token0Info, token1Info, securityChecks, initialLiquidity };
+      }, priority);
 
       const checksFormat = this.securityChecks.formatChecks(securityChecks);
       console.log(`   Security: ${checksFormat.shortFormat}`);
+      if (initialLiquidity) {
+        console.log(`   Initial liquidity: ${initialLiquidity.amount0} ${token0Info.symbol} + ${initialLiquidity.amount1} ${token1Info.symbol} by ${initialLiquidity.addedBy}`);
+      }
 
       // Step 5: Prepare pair data
       const pairData = {
         pairAddress,
+        dex,
+        poolType: event.poolType,
+        feeTier: event.args.fee,
+        stable: event.args.stable,
         token0: {
           address: event.args.token0,
           symbol: token0Info.symbol,
@@ -320,8 +934,19 @@ export class PairMonitorV2Service {
         tier: liquidityAnalysis.tierInfo,
         volumeData,
         securityChecks: checksFormat,
+        pendingLaunch: event.pendingLaunch || null,
+        initialLiquidity,
+        relaunch,
       };
 
+      // Another replica (or an earlier run) may have alerted this pair (or
+      // this relaunch) already
+      const alertKey = relaunch ? `${pairAddress}:${relaunch.blockNumber}` : pairAddress;
+      if (!(await this.dedupeStore.claim(relaunch ? 'relaunched' : 'alerted', alertKey))) {
+        console.log(`   ⏭️  Already alerted: ${pairAddress}`);
+        return { status: 'duplicate' };
+      }
+
       // Step 6: Send to appropriate channels
       const channels = [];
       
@@ -345,17 +970,301 @@ export class PairMonitorV2Service {
         channelParam = 'public';
       }
 
-      await this.telegram.sendPairCreated(pairData, channelParam);
+      await this.pipeline.alert.run(() => this.telegram.sendPairCreated(pairData, channelParam), priority);
+      this.countDexPair(dex.name, 'alerted');
+      this.reorgTracker.markAlerted(pairAddress, channelParam);
+
+      // Watch for a later drain (and a possible relaunch after it)
+      if (this.dormantWatcher) {
+        await this.dormantWatcher.addLive(event, liquidityAnalysis.reserves);
+      }
+
+      if (attempt > 0 || triggered) {
+        this.stats.recovered++;
+      }
 
-      console.log(`✅ Pair processed successfully\n`);
+      console.log(`✅ Pair ${pairAddress} processed successfully\n`);
+
+      return {
+        status: 'alerted',
+        channel: channelParam,
+        tier: liquidityAnalysis.tier,
+        liquidityUSD: liquidityAnalysis.liquidityUSD,
+        volume24h: volumeData.success ? volumeData.volume24h : null,
+        security: securityChecks,
+        initialLiquidity,
+      };
 
     } catch (error) {
       console.error(`❌ Error processing pair ${pairAddress}:`, error.message);
       this.stats.errors++;
       await this.telegram.sendError(error);
+      return { status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Queue a filtered pair for its next re-check, or drop it for good
+   * 
+   * Pairs that won't be re-checked (re-checks off, schedule exhausted,
+   * not retryable) are handed to the dormant pair watcher. Relaunches that
+   * don't qualify stay dormant (no re-checks).
+   */
+  async handleFilteredPair(event, { attempt, detectedAt, retryable, relaunch = null, reserves = null }) {
+    if (retryable && this.reevaluate && !relaunch) {
+      const scheduled = await this.reevaluationQueue.schedule({
+        pairAddress: event.args.pair,
+        event,
+        detectedAt,
+        attempt,
+      });
+
+      if (scheduled) {
+        const delay = this.reevaluationQueue.delays[attempt];
+        console.log(`   ⏳ Re-check #${attempt + 1} scheduled (+${Math.round(delay / 60000)}m after detection)`);
+        return;
+      }
+
+      console.log(`   ⌛ Re-check schedule exhausted, giving up on ${event.args.pair}`);
+    }
+
+    if (this.dormantWatcher && !relaunch) {
+      await this.dormantWatcher.addDormant(event, reserves);
+      console.log('   💤 Watching pair for a later liquidity add');
+    }
+
+    this.stats.filtered++;
+  }
+
+  /**
+   * Re-run the analysis for queued pairs whose re-check is due
+   */
+  async processReevaluations() {
+    if (this.isReevaluating) {
+      return;
+    }
+    this.isReevaluating = true;
+
+    try {
+      const due = await this.reevaluationQueue.takeDue();
+
+      await Promise.all(due.map(async entry => {
+        // Entries restored after a restart may have expired from the dedupe store
+        await this.dedupeStore.claim('seen', entry.pairAddress);
+
+        this.stats.reevaluated++;
+        console.log(`\n🔁 Re-checking pair ${entry.pairAddress} (attempt ${entry.attempt + 1})`);
+
+        const result = await this.analyzePairEvent(entry.event, {
+          attempt: entry.attempt + 1,
+          detectedAt: entry.detectedAt,
+        });
+        await this.settleReevaluation(entry, result);
+      }));
+    } catch (error) {
+      console.error('❌ Error processing re-evaluations:', error.message);
+      this.stats.errors++;
+    } finally {
+      this.isReevaluating = false;
     }
   }
 
+  /**
+   * A queued pair received its first liquidity: analyze it right away
+   * 
+   * The pair keeps its place in the re-check schedule, so if it is still
+   * filtered (e.g. liquidity below thresholds) the pending re-check stands.
+   */
+  async handleLiquidityAdded(pairAddress, log) {
+    // Only the first add triggers; later swaps/adds wait for the schedule
+    if (!(await this.dedupeStore.claim('liquidity', pairAddress))) {
+      return;
+    }
+
+    const entry = await this.reevaluationQueue.take(pairAddress);
+    if (!entry) {
+      // Taken by a due re-check (or not queued): give the claim back so a
+      // later add can still trigger if that re-check reschedules the pair
+      await this.dedupeStore.release('liquidity', pairAddress);
+      return;
+    }
+
+    await this.dedupeStore.claim('seen', entry.pairAddress);
+    this.stats.mintTriggered++;
+    console.log(`\n💧 Liquidity added to pair ${entry.pairAddress} (block ${log.blockNumber})`);
+
+    // The triggering transaction is the launch; decode it instead of the creation tx
+    const result = await this.analyzePairEvent({ ...entry.event, launchTxHash: log.transactionHash }, {
+      attempt: entry.attempt,
+      detectedAt: entry.detectedAt,
+      triggered: true,
+    });
+    await this.settleReevaluation(entry, result);
+  }
+
+  /**
+   * A taken re-check finished: retry it if the analysis failed (RPC or
+   * price outage), otherwise drop it unless it was rescheduled
+   */
+  async settleReevaluation(entry, result) {
+    if (result?.status === 'error') {
+      if (await this.reevaluationQueue.retry(entry)) {
+        console.log(`   🔁 Re-check of ${entry.pairAddress} failed, retrying later`);
+      } else {
+        console.log(`   ⌛ Re-check of ${entry.pairAddress} failed too often, giving up`);
+      }
+      return;
+    }
+    await this.reevaluationQueue.complete(entry.pairAddress);
+  }
+
+  /**
+   * A launch transaction was seen in the mempool: alert VIP right away and
+   * remember it so the mined pair can be matched to it
+   */
+  async handlePendingLaunch(launch) {
+    this.prunePendingLaunches();
+
+    if (this.pendingLaunches.has(launch.txHash)) {
+      return;
+    }
+
+    try {
+      const [tokenA, tokenB] = await Promise.all([
+        this.describeLaunchToken(launch.tokenA, launch.amountA),
+        launch.native
+          ? {
+            address: launch.tokenB,
+            symbol: getNativeSymbol(config.chainId),
+            name: 'Native',
+            amount: launch.amountB !== null ? ethers.formatEther(launch.amountB) : null,
+          }
+          : this.describeLaunchToken(launch.tokenB, launch.amountB),
+      ]);
+
+      // Plain, JSON-safe copy (it travels with the pair through the re-check queue)
+      const pending = {
+        txHash: launch.txHash,
+        from: launch.from,
+        action: launch.action,
+        dex: launch.dex,
+        stable: launch.stable,
+        fee: launch.fee,
+        seenAt: launch.seenAt,
+        tokenA,
+        tokenB,
+      };
+
+      this.pendingLaunches.set(launch.txHash, pending);
+      this.stats.pendingLaunches++;
+
+      console.log(`\n🔭 Pending launch: ${tokenA.symbol}/${tokenB.symbol} on ${launch.dex.name} (${launch.action})`);
+      console.log(`   TX: ${launch.txHash}`);
+
+      await this.telegram.sendPendingLaunch(pending);
+    } catch (error) {
+      console.error(`❌ Error handling pending launch ${launch.txHash}:`, error.message);
+      this.stats.errors++;
+    }
+  }
+
+  async describeLaunchToken(address, amount) {
+    const info = await this.tokenService.getTokenInfo(address);
+    return {
+      address,
+      symbol: info.symbol,
+      name: info.name,
+      amount: amount !== null ? ethers.formatUnits(amount, info.decimals) : null,
+    };
+  }
+
+  /**
+   * Find (and forget) the pending launch that created this pair: either the
+   * same transaction or a launch for the same tokens on the same factory
+   */
+  takePendingLaunch(event) {
+    const factory = event.address.toLowerCase();
+    const token0 = event.args.token0.toLowerCase();
+    const token1 = event.args.token1.toLowerCase();
+
+    for (const [txHash, pending] of this.pendingLaunches.entries()) {
+      const tokens = [pending.tokenA.address, pending.tokenB.address].map(address => address.toLowerCase());
+      const sameTokens = pending.dex.address.toLowerCase() === factory
+        && tokens.includes(token0)
+        && tokens.includes(token1);
+
+      if (txHash === event.transactionHash || sameTokens) {
+        this.pendingLaunches.delete(txHash);
+        return { ...pending, leadSeconds: Math.round((Date.now() - pending.seenAt) / 1000) };
+      }
+    }
+
+    return null;
+  }
+
+  prunePendingLaunches() {
+    const cutoff = Date.now() - (config.mempool?.pendingTtl || 600000);
+    for (const [txHash, pending] of this.pendingLaunches.entries()) {
+      if (pending.seenAt < cutoff) {
+        this.pendingLaunches.delete(txHash);
+      }
+    }
+  }
+
+  /**
+   * Liquidity landed on a dormant pair: run it through the tier logic
+   */
+  async handleRelaunch(entry, reserves, log) {
+    const event = entry.event;
+    this.stats.relaunches++;
+
+    const createdAt = await this.getBlockTimestamp(event.blockNumber);
+    const relaunch = {
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      pairAgeSeconds: createdAt ? Math.max(Math.floor(Date.now() / 1000) - createdAt, 0) : null,
+      // Pairs that had an alert before were drained and refilled
+      drained: !!entry.peak,
+    };
+
+    console.log(`\n♻️  Liquidity added to dormant pair ${event.args.pair} (block ${log.blockNumber})`);
+
+    await this.analyzePairEvent({ ...event, launchTxHash: log.transactionHash }, {
+      attempt: 0,
+      detectedAt: Date.now(),
+      relaunch,
+    });
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    try {
+      const block = this.provider.getBlock
+        ? await this.provider.getBlock(blockNumber)
+        : await this.getActualProvider().getBlock(blockNumber);
+      return block?.timestamp || null;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not fetch block ${blockNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  getPoolLabel(poolType, { fee, stable }) {
+    if (poolType === 'v3') return ` (V3, fee ${fee / 10000}%)`;
+    if (poolType === 'solidly') return stable ? ' (Stable)' : ' (Volatile)';
+    return '';
+  }
+
+  countDexPair(dexName, field) {
+    if (!this.stats.byDex[dexName]) {
+      this.stats.byDex[dexName] = { detected: 0, alerted: 0 };
+    }
+    this.stats.byDex[dexName][field]++;
+  }
+
+  getPipelineStats() {
+    return Object.values(this.pipeline).map(pool => pool.getStats());
+  }
+
   async sendPeriodicStatistics() {
     try {
       const uptime = Date.now() - this.startTime;
@@ -366,6 +1275,7 @@ export class PairMonitorV2Service {
         ...this.stats,
         version: 'V2',
         rpcStats: this.provider.getStats ? this.provider.getStats() : null,
+        pipelineStats: this.getPipelineStats(),
       };
       
       await this.telegram.sendStatistics(enhancedStats, uptime);
@@ -386,6 +1296,34 @@ export class PairMonitorV2Service {
     console.log(`   Sent to Public: ${this.stats.public}`);
     console.log(`   Processing errors: ${this.stats.errors}`);
     console.log(`   RPC failovers: ${this.stats.rpcFailovers}`);
+    console.log(`   Chain reorgs: ${this.stats.reorgs} (${this.stats.orphaned} orphaned pairs)`);
+    if (this.mempoolWatcher) {
+      console.log(`   Pending launches (mempool): ${this.stats.pendingLaunches} (${this.stats.launchesMined} matched when mined)`);
+    }
+    console.log(`   Dormant pair relaunches: ${this.stats.relaunches}`);
+    console.log(`   Re-checks: ${this.stats.reevaluated} scheduled, ${this.stats.mintTriggered} on liquidity add (${this.stats.recovered} alerted)`);
+    
+    for (const [dexName, dexStats] of Object.entries(this.stats.byDex)) {
+      console.log(`   ${dexName}: ${dexStats.detected} detected, ${dexStats.alerted} alerted`);
+    }
+    
+    for (const stage of this.getPipelineStats()) {
+      console.log(`   Stage ${stage.name}: ${stage.processed} done, ${stage.failed} failed, queue ${stage.depth} (max ${stage.maxDepth}), avg wait ${stage.avgWaitMs}ms, avg run ${stage.avgRunMs}ms`);
+    }
+    
+    if (this.priceCache.getStats) {
+      const priceStats = this.priceCache.getStats();
+      console.log(`   ${getNativeSymbol(config.chainId)} price updates: ${priceStats.chainlink} Chainlink, ${priceStats.onChain} on-chain, ${priceStats.api} HTTP, ${priceStats.fallback} fallback (${priceStats.deviations} cross-check deviations)`);
+    }
+    
+    if (this.provider.getStats) {
+      const rpcStats = this.provider.getStats();
+      console.log(`   RPC strategy: ${rpcStats.strategy}`);
+      for (const endpoint of rpcStats.providers) {
+        const status = endpoint.circuit.state === 'half-open' ? '🟡' : !endpoint.healthy ? '❌' : endpoint.lagging ? '🐢' : '✅';
+        console.log(`   RPC [${endpoint.index}] ${status} ${endpoint.requests} requests, ${endpoint.errors} errors, avg ${endpoint.ewmaLatency ?? '-'}ms, weight ${endpoint.weight}, block ${endpoint.blockNumber ?? '-'} (${endpoint.lag} behind), ${endpoint.rateLimited} rate limited, ${endpoint.limiter.delayed} queued (avg ${endpoint.limiter.avgDelayMs}ms), circuit ${endpoint.circuit.state} (${(endpoint.circuit.errorRate * 100).toFixed(0)}% errors)${endpoint.limiter.dailyBudget ? `, budget ${endpoint.limiter.usedToday}/${endpoint.limiter.dailyBudget}` : ''}`);
+      }
+    }
     
     if (this.stats.vip > 0 || this.stats.public > 0) {
       const filterRate = ((this.stats.filtered / this.stats.total) * 100).toFixed(1);
@@ -1,16 +1,43 @@
 import Redis from 'ioredis';
 import axios from 'axios';
-import { config } from '../config.js';
+import { config, getNativeSymbol } from '../config.js';
+import { withBackoff } from '../utils/backoff.js';
+import { ClassifiedError, ErrorClass } from '../utils/errors.js';
+import { OnChainPriceService } from './onChainPrice.js';
+import { ChainlinkPriceService } from './chainlinkPrice.js';
+
+// Quick retries only: the next provider in line is the better fallback
+const HTTP_RETRY = { maxRetries: 2, initialDelay: 500, maxDelay: 5000 };
+
+// DexScreener chain ids
+const DEXSCREENER_CHAINS = {
+  1: 'ethereum',
+  56: 'bsc',
+  137: 'polygon',
+  42161: 'arbitrum',
+};
+
+// Native token ids on the HTTP price APIs, per chain (POL replaced MATIC on
+// CoinGecko and Binance)
+const NATIVE_API_IDS = {
+  1: { coingeckoId: 'ethereum', binanceSymbol: 'ETHUSDT' },
+  56: { coingeckoId: 'binancecoin', binanceSymbol: 'BNBUSDT' },
+  137: { coingeckoId: 'polygon-ecosystem-token', binanceSymbol: 'POLUSDT' },
+  42161: { coingeckoId: 'ethereum', binanceSymbol: 'ETHUSDT' },
+};
 
 /**
  * Price Cache V2 Service with Redis Support
  * 
  * Features:
  * - Redis cache with 60s TTL
- * - Multi-provider fallback (CoinGecko → DexScreener → Binance)
+ * - Chainlink native/USD and stablecoin feeds (authoritative when fresh)
+ * - On-chain native token price from reference pool reserves (needs a provider)
+ * - HTTP providers (CoinGecko → DexScreener → Binance) as cross-check and fallback
  * - Graceful degradation if Redis unavailable
  * - In-memory fallback cache
  * - Rate limiting protection
+ * - Retries classified by error (network/5xx retried, 4xx not), stopped on shutdown
  * 
  * Sprint 1 - ~400 lines of code
  */
@@ -22,6 +49,30 @@ export class PriceCacheV2Service {
     this.updateInterval = null;
     this.cleanupInterval = null;
     this.isUpdating = false;
+    this.abortController = new AbortController(); // Cancels HTTP retries on shutdown
+    this.onChainPrice = null; // Set on initialize when a provider is given
+    this.chainlink = null;
+    this.maxDeviation = config.priceCache?.onChain?.maxDeviation ?? 0.05;
+    
+    // Native token of CHAIN_ID: every source quotes this one, cached as
+    // its wrapped symbol (WBNB, WETH, WMATIC)
+    const nativeSymbol = getNativeSymbol(config.chainId);
+    this.native = {
+      symbol: nativeSymbol,
+      cacheKey: `W${nativeSymbol}`,
+      wrappedAddress: config.priceCache?.onChain?.wrappedNative || null,
+      ...NATIVE_API_IDS[config.chainId],
+    };
+    
+    // Where native token prices came from
+    this.stats = {
+      chainlink: 0,
+      onChain: 0,
+      api: 0,
+      fallback: 0,
+      deviations: 0, // Cross-check disagreements beyond maxDeviation
+      lastDeviation: null,
+    };
     
     // Cache TTL
     this.cacheTTL = config.priceCache?.ttl || 60; // 60 seconds
@@ -38,34 +89,42 @@ export class PriceCacheV2Service {
       binance: 1000, // 1 second between calls
     };
     
-    // Known token addresses (BSC)
-    this.knownTokens = {
-      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c': {
-        symbol: 'WBNB',
-        decimals: 18,
-        coingeckoId: 'binancecoin',
-      },
-      '0x55d398326f99059fF775485246999027B3197955': {
-        symbol: 'USDT',
-        decimals: 18,
-        priceUSD: 1.0,
-      },
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56': {
-        symbol: 'BUSD',
-        decimals: 18,
-        priceUSD: 1.0,
-      },
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d': {
-        symbol: 'USDC',
-        decimals: 18,
-        priceUSD: 1.0,
-      },
-    };
+    // Known tokens of CHAIN_ID: the wrapped native token (priced like the
+    // native one) and the stablecoins, keyed lowercase like every lookup
+    this.knownTokens = lowercaseKeys({
+      ...(this.native.wrappedAddress && {
+        [this.native.wrappedAddress]: { symbol: this.native.cacheKey, decimals: 18 },
+      }),
+      ...Object.fromEntries(
+        Object.entries(config.priceCache?.stablecoins || {})
+          .map(([address, token]) => [address, { ...token, priceUSD: 1.0 }])
+      ),
+    });
   }
 
-  async initialize() {
+  /**
+   * @param {ethers.Provider} provider - Enables the on-chain price source
+   */
+  async initialize(provider = null) {
     console.log('💰 Initializing Price Cache V2 Service...');
 
+    if (provider && config.priceCache?.chainlink?.enabled !== false) {
+      this.chainlink = new ChainlinkPriceService(provider);
+      console.log(`   🔗 Chainlink: ${this.chainlink.feedCount} feeds`);
+
+      // Stable feeds apply to known stablecoins by symbol
+      const stableSymbols = new Set(Object.values(this.knownTokens).map(token => token.symbol));
+      const unmatched = Object.keys(this.chainlink.stableFeeds).filter(symbol => !stableSymbols.has(symbol));
+      if (unmatched.length > 0) {
+        console.warn(`   ⚠️  Chainlink feeds without a known stablecoin on chain ${config.chainId}: ${unmatched.join(', ')}`);
+      }
+    }
+
+    if (provider && config.priceCache?.onChain?.enabled !== false) {
+      this.onChainPrice = new OnChainPriceService(provider);
+      console.log(`   ⛓️  On-chain price from ${this.onChainPrice.pools.length} reference pools`);
+    }
+
     // Try to connect to Redis
     if (config.redis?.url) {
       try {
@@ -130,15 +189,24 @@ export class PriceCacheV2Service {
     console.log('💰 Updating prices...');
 
     try {
-      // Update BNB price
-      const bnbPrice = await this.fetchBNBPrice();
-      if (bnbPrice) {
-        await this.setPrice('WBNB', bnbPrice);
-        console.log(`   ✅ BNB price updated: $${bnbPrice.toFixed(2)}`);
+      // Update native token price (BNB on BSC)
+      const nativePrice = await this.fetchBNBPrice();
+      if (nativePrice) {
+        await this.setPrice(this.native.cacheKey, nativePrice);
+        console.log(`   ✅ ${this.native.symbol} price updated: $${nativePrice.toFixed(2)}`);
       }
 
-      // Update other major tokens if needed
-      // Could add ETH, BTC, etc. here
+      // Stablecoins: Chainlink price instead of a fixed $1 (keeps a depeg
+      // visible). Kept on the token until the next update rather than in
+      // the short-TTL cache; a failed or stale feed reverts to $1
+      if (this.chainlink) {
+        const stablePrices = await this.chainlink.fetchStablePrices();
+        for (const token of Object.values(this.knownTokens)) {
+          if (token.priceUSD) {
+            token.chainlinkPriceUSD = stablePrices[token.symbol] ?? null;
+          }
+        }
+      }
 
     } catch (error) {
       console.error('   ❌ Price update failed:', error.message);
@@ -148,36 +216,117 @@ export class PriceCacheV2Service {
   }
 
   /**
-   * Fetch BNB price with multi-provider fallback
+   * Fetch the native token price (BNB on BSC, ETH, MATIC...)
+   * 
+   * The first available of Chainlink (fresh answers only), on-chain
+   * reference pools and the HTTP APIs is used; the others are cross-checks.
    */
   async fetchBNBPrice() {
+    const quotes = [];
+
+    if (this.chainlink) {
+      try {
+        const { price, description } = await this.chainlink.fetchNativePrice();
+        quotes.push({ price, source: 'Chainlink', stat: 'chainlink' });
+        console.log(`   🔗 Chainlink ${description}: $${price.toFixed(2)}`);
+      } catch (error) {
+        console.warn('   ⚠️  Chainlink price failed:', error.message);
+      }
+    }
+
+    if (this.onChainPrice) {
+      try {
+        const { price, pools } = await this.onChainPrice.fetchNativePrice();
+        quotes.push({ price, source: 'reference pools', stat: 'onChain' });
+        console.log(`   ⛓️  On-chain ${this.native.symbol} price: $${price.toFixed(2)} (${pools.length} pools)`);
+      } catch (error) {
+        console.warn('   ⚠️  On-chain price failed:', error.message);
+      }
+    }
+
+    const apiQuote = await this.fetchBNBPriceFromApis();
+    if (apiQuote) {
+      quotes.push({ ...apiQuote, stat: 'api' });
+    }
+
+    if (quotes.length > 0) {
+      const [primary, ...checks] = quotes;
+      checks.forEach(quote => this.crossCheck(primary, quote));
+      this.stats[primary.stat]++;
+      return primary.price;
+    }
+
+    // No source answered: let the cached price expire rather than guess
+    // one (pairs against the native token are filtered as unpriced meanwhile)
+    this.stats.fallback++;
+    console.warn(`   ⚠️  No ${this.native.symbol} price source available`);
+    return null;
+  }
+
+  /**
+   * First native token price the HTTP providers return (providers without
+   * an id for CHAIN_ID are skipped)
+   * 
+   * @returns {Promise<{price: number, source: string}|null>}
+   */
+  async fetchBNBPriceFromApis() {
     // Try CoinGecko first
-    try {
-      const price = await this.fetchFromCoinGecko('binancecoin');
-      if (price) return price;
-    } catch (error) {
-      console.warn('   ⚠️  CoinGecko failed:', error.message);
+    if (this.native.coingeckoId) {
+      try {
+        const price = await this.fetchFromCoinGecko(this.native.coingeckoId);
+        if (price) return { price, source: 'CoinGecko' };
+      } catch (error) {
+        console.warn('   ⚠️  CoinGecko failed:', error.message);
+      }
     }
 
     // Try DexScreener
-    try {
-      const price = await this.fetchFromDexScreener('0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c');
-      if (price) return price;
-    } catch (error) {
-      console.warn('   ⚠️  DexScreener failed:', error.message);
+    if (this.native.wrappedAddress) {
+      try {
+        const price = await this.fetchFromDexScreener(this.native.wrappedAddress);
+        if (price) return { price, source: 'DexScreener' };
+      } catch (error) {
+        console.warn('   ⚠️  DexScreener failed:', error.message);
+      }
     }
 
     // Try Binance
-    try {
-      const price = await this.fetchFromBinance('BNBUSDT');
-      if (price) return price;
-    } catch (error) {
-      console.warn('   ⚠️  Binance failed:', error.message);
+    if (this.native.binanceSymbol) {
+      try {
+        const price = await this.fetchFromBinance(this.native.binanceSymbol);
+        if (price) return { price, source: 'Binance' };
+      } catch (error) {
+        console.warn('   ⚠️  Binance failed:', error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare a secondary quote with the price in use and report
+   * disagreements (the primary price is kept either way)
+   */
+  crossCheck(primary, quote) {
+    const deviation = Math.abs(quote.price - primary.price) / primary.price;
+    if (deviation <= this.maxDeviation) {
+      return;
     }
 
-    // Return cached value or fallback
-    const cached = await this.getPrice('WBNB');
-    return cached || 600; // Fallback to $600
+    this.stats.deviations++;
+    this.stats.lastDeviation = {
+      price: primary.price,
+      source: primary.source,
+      checkPrice: quote.price,
+      checkSource: quote.source,
+      deviation,
+      timestamp: Date.now(),
+    };
+    console.warn(`   ⚠️  ${quote.source} ${this.native.symbol} price $${quote.price.toFixed(2)} is ${(deviation * 100).toFixed(1)}% off the ${primary.source} $${primary.price.toFixed(2)}`);
+  }
+
+  getStats() {
+    return { ...this.stats };
   }
 
   /**
@@ -188,21 +337,29 @@ export class PriceCacheV2Service {
     const now = Date.now();
     const timeSinceLastCall = now - this.lastApiCall.coingecko;
     if (timeSinceLastCall < this.apiRateLimit.coingecko) {
-      throw new Error('Rate limit');
+      throw new ClassifiedError('Rate limit', {
+        errorClass: ErrorClass.RATE_LIMITED,
+        retryAfter: this.apiRateLimit.coingecko - timeSinceLastCall,
+      });
     }
 
-    const response = await axios.get(
-      `https://api.coingecko.com/api/v3/simple/price`,
-      {
-        params: {
-          ids: coinId,
-          vs_currencies: 'usd',
-        },
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json',
-        },
-      }
+    const response = await withBackoff(
+      ({ signal }) => axios.get(
+        `https://api.coingecko.com/api/v3/simple/price`,
+        {
+          params: {
+            ids: coinId,
+            vs_currencies: 'usd',
+          },
+          timeout: 5000,
+          signal,
+          headers: {
+            'Accept': 'application/json',
+          },
+        }
+      ),
+      `CoinGecko price(${coinId})`,
+      { ...HTTP_RETRY, signal: this.abortController.signal }
     );
 
     this.lastApiCall.coingecko = Date.now();
@@ -222,25 +379,39 @@ export class PriceCacheV2Service {
     const now = Date.now();
     const timeSinceLastCall = now - this.lastApiCall.dexscreener;
     if (timeSinceLastCall < this.apiRateLimit.dexscreener) {
-      throw new Error('Rate limit');
+      throw new ClassifiedError('Rate limit', {
+        errorClass: ErrorClass.RATE_LIMITED,
+        retryAfter: this.apiRateLimit.dexscreener - timeSinceLastCall,
+      });
     }
 
-    const chainId = config.chainId === 56 ? 'bsc' : 'ethereum';
-    const response = await axios.get(
-      `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`,
-      {
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json',
-        },
-      }
+    const response = await withBackoff(
+      ({ signal }) => axios.get(
+        `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`,
+        {
+          timeout: 5000,
+          signal,
+          headers: {
+            'Accept': 'application/json',
+          },
+        }
+      ),
+      `DexScreener price(${tokenAddress})`,
+      { ...HTTP_RETRY, signal: this.abortController.signal }
     );
 
     this.lastApiCall.dexscreener = Date.now();
 
-    if (response.data && response.data.pairs && response.data.pairs.length > 0) {
+    // Only pairs on this chain where the token is the base (priceUsd is the
+    // base token's price)
+    const chainName = DEXSCREENER_CHAINS[config.chainId] || 'bsc';
+    const tokenPairs = (response.data?.pairs || []).filter(pair =>
+      pair.chainId === chainName && pair.baseToken?.address?.toLowerCase() === tokenAddress.toLowerCase()
+    );
+
+    if (tokenPairs.length > 0) {
       // Get the most liquid pair
-      const pairs = response.data.pairs.sort((a, b) => 
+      const pairs = tokenPairs.sort((a, b) => 
         parseFloat(b.liquidity?.usd || 0) - parseFloat(a.liquidity?.usd || 0)
       );
       
@@ -261,18 +432,26 @@ export class PriceCacheV2Service {
     const now = Date.now();
     const timeSinceLastCall = now - this.lastApiCall.binance;
     if (timeSinceLastCall < this.apiRateLimit.binance) {
-      throw new Error('Rate limit');
+      throw new ClassifiedError('Rate limit', {
+        errorClass: ErrorClass.RATE_LIMITED,
+        retryAfter: this.apiRateLimit.binance - timeSinceLastCall,
+      });
     }
 
-    const response = await axios.get(
-      `https://api.binance.com/api/v3/ticker/price`,
-      {
-        params: { symbol },
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json',
-        },
-      }
+    const response = await withBackoff(
+      ({ signal }) => axios.get(
+        `https://api.binance.com/api/v3/ticker/price`,
+        {
+          params: { symbol },
+          timeout: 5000,
+          signal,
+          headers: {
+            'Accept': 'application/json',
+          },
+        }
+      ),
+      `Binance price(${symbol})`,
+      { ...HTTP_RETRY, signal: this.abortController.signal }
     );
 
     this.lastApiCall.binance = Date.now();
@@ -345,9 +524,9 @@ export class PriceCacheV2Service {
       return null; // Unknown token
     }
 
-    // If it has a fixed price (stablecoins)
+    // Stablecoins: last Chainlink price, otherwise the fixed price
     if (knownToken.priceUSD) {
-      return knownToken.priceUSD;
+      return knownToken.chainlinkPriceUSD ?? knownToken.priceUSD;
     }
 
     // Get from cache
@@ -403,6 +582,9 @@ export class PriceCacheV2Service {
   async shutdown() {
     console.log('   🛑 Shutting down Price Cache V2 Service...');
 
+    // Stop in-flight requests and retries
+    this.abortController.abort();
+
     // Stop update interval
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
@@ -433,3 +615,12 @@ export class PriceCacheV2Service {
     console.log('   ✅ Price Cache V2 Service stopped');
   }
 }
+
+/**
+ * Copy of an address-keyed map with lowercase keys
+ */
+function lowercaseKeys(map) {
+  return Object.fromEntries(
+    Object.entries(map).map(([address, value]) => [address.toLowerCase(), value])
+  );
+}
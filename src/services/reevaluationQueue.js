@@ -0,0 +1,267 @@
+import { config } from '../config.js';
+import { createRedisClient } from '../utils/redis.js';
+
+// A re-check whose analysis failed is retried this much later, this many times
+const RETRY_DELAY_MS = 60000;
+const MAX_RETRIES = 3;
+
+/**
+ * Re-evaluation Queue Service
+ *
+ * Most pairs are created before liquidity is added, so they are filtered at
+ * detection time. This queue schedules them for re-checks at fixed offsets
+ * from detection (default +1, +5, +15, +60 min) until they qualify or the
+ * schedule runs out.
+ *
+ * Storage:
+ * - Redis sorted set (due time) + hash (entries) when REDIS_URL is set,
+ *   so pending re-checks survive restarts. Taking an entry only removes it
+ *   from the sorted set; the hash keeps it until the analysis settles
+ *   (`complete()`/`schedule()`/`retry()`), and entries left in the hash by
+ *   a crash are due again on the next start.
+ * - In-memory Map otherwise
+ */
+export class ReevaluationQueueService {
+  constructor() {
+    this.delays = config.reevaluation?.delays || [60000, 300000, 900000, 3600000];
+    this.dueKey = `scanner:reeval:${config.chainId}:due`;
+    this.entriesKey = `scanner:reeval:${config.chainId}:entries`;
+    this.redis = null;
+    this.redisAvailable = false;
+    this.memoryQueue = new Map(); // pairAddress -> { entry, dueAt }
+  }
+
+  async initialize() {
+    console.log('⏳ Initializing Re-evaluation Queue...');
+
+    this.redis = await createRedisClient(config.redis?.url, 'Re-evaluation Redis');
+    this.redisAvailable = !!this.redis;
+
+    const schedule = this.delays.map(delay => `+${Math.round(delay / 60000)}m`).join(', ');
+    console.log(`   📅 Re-check schedule: ${schedule}`);
+
+    if (this.redisAvailable) {
+      const recovered = await this.recoverInFlight();
+      const pending = await this.size();
+      console.log(`   ✅ Using Redis (${pending} pending re-checks${recovered ? `, ${recovered} recovered` : ''})`);
+    } else {
+      console.log('   📝 Using in-memory queue (re-checks are lost on restart)');
+    }
+  }
+
+  /**
+   * Schedule the next re-check for a pair
+   *
+   * @param {Object} entry - { pairAddress, event, detectedAt, attempt }
+   * @param {number} [dueAt] - Overrides the schedule's due time
+   * @returns {boolean} false if the schedule is exhausted (pair expired)
+   */
+  async schedule(entry, dueAt = null) {
+    if (entry.attempt >= this.delays.length) {
+      await this.remove(entry.pairAddress);
+      return false;
+    }
+
+    dueAt = dueAt ?? entry.detectedAt + this.delays[entry.attempt];
+    const key = entry.pairAddress.toLowerCase();
+
+    try {
+      if (this.redisAvailable) {
+        await this.redis
+          .multi()
+          .hset(this.entriesKey, key, JSON.stringify(entry))
+          .zadd(this.dueKey, dueAt, key)
+          .exec();
+        return true;
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  Re-evaluation queue write error for ${entry.pairAddress}:`, error.message);
+    }
+
+    this.memoryQueue.set(key, { entry, dueAt });
+    return true;
+  }
+
+  /**
+   * Re-queue a taken entry whose analysis failed (same attempt, a little
+   * later)
+   *
+   * @returns {boolean} false if it failed too often and was dropped
+   */
+  async retry(entry) {
+    const retries = (entry.retries || 0) + 1;
+    if (retries > MAX_RETRIES) {
+      await this.remove(entry.pairAddress);
+      return false;
+    }
+    return this.schedule({ ...entry, retries }, Date.now() + RETRY_DELAY_MS);
+  }
+
+  /**
+   * A taken entry's analysis settled: forget it unless the analysis
+   * scheduled the next re-check
+   */
+  async complete(pairAddress) {
+    if (!this.redisAvailable) {
+      return;
+    }
+
+    const key = pairAddress.toLowerCase();
+    try {
+      const rescheduled = await this.redis.zscore(this.dueKey, key);
+      if (rescheduled === null) {
+        await this.redis.hdel(this.entriesKey, key);
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  Re-evaluation queue delete error for ${pairAddress}:`, error.message);
+    }
+  }
+
+  /**
+   * Make entries taken but never settled (process stopped mid-analysis)
+   * due now
+   *
+   * @returns {number} Entries recovered
+   */
+  async recoverInFlight() {
+    try {
+      const keys = await this.redis.hkeys(this.entriesKey);
+      if (keys.length === 0) {
+        return 0;
+      }
+
+      const now = Date.now();
+      const pipeline = this.redis.pipeline();
+      keys.forEach(key => pipeline.zadd(this.dueKey, 'NX', now, key));
+      const results = await pipeline.exec();
+      return results.filter(([error, added]) => !error && added === 1).length;
+    } catch (error) {
+      console.warn('   ⚠️  Re-evaluation queue recovery error:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Claim and return all entries whose re-check is due (settle each with
+   * complete() or retry())
+   */
+  async takeDue(now = Date.now()) {
+    const due = [];
+
+    if (this.redisAvailable) {
+      try {
+        const keys = await this.redis.zrangebyscore(this.dueKey, '-inf', now);
+
+        for (const key of keys) {
+          // zrem returns 0 if another worker already claimed this entry
+          const claimed = await this.redis.zrem(this.dueKey, key);
+          if (!claimed) continue;
+
+          const value = await this.redis.hget(this.entriesKey, key);
+          if (value) {
+            due.push(JSON.parse(value));
+          }
+        }
+      } catch (error) {
+        console.warn('   ⚠️  Re-evaluation queue read error:', error.message);
+      }
+    }
+
+    for (const [key, { entry, dueAt }] of this.memoryQueue.entries()) {
+      if (dueAt <= now) {
+        this.memoryQueue.delete(key);
+        due.push(entry);
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Claim a single entry ahead of its due time (e.g. liquidity was just
+   * added); settle it like takeDue() entries
+   *
+   * @returns {Object|null} The entry, or null if it is not queued
+   */
+  async take(pairAddress) {
+    const key = pairAddress.toLowerCase();
+
+    if (this.redisAvailable) {
+      try {
+        const claimed = await this.redis.zrem(this.dueKey, key);
+        if (claimed) {
+          const value = await this.redis.hget(this.entriesKey, key);
+          if (value) {
+            return JSON.parse(value);
+          }
+        }
+      } catch (error) {
+        console.warn(`   ⚠️  Re-evaluation queue read error for ${pairAddress}:`, error.message);
+      }
+    }
+
+    const queued = this.memoryQueue.get(key);
+    if (queued) {
+      this.memoryQueue.delete(key);
+      return queued.entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Addresses of all pairs waiting for a re-check
+   */
+  async getPendingAddresses() {
+    const addresses = new Set(this.memoryQueue.keys());
+
+    if (this.redisAvailable) {
+      try {
+        const keys = await this.redis.zrange(this.dueKey, 0, -1);
+        keys.forEach(key => addresses.add(key));
+      } catch (error) {
+        console.warn('   ⚠️  Re-evaluation queue read error:', error.message);
+      }
+    }
+
+    return [...addresses];
+  }
+
+  async remove(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    this.memoryQueue.delete(key);
+
+    if (this.redisAvailable) {
+      try {
+        await this.redis.multi().zrem(this.dueKey, key).hdel(this.entriesKey, key).exec();
+      } catch (error) {
+        console.warn(`   ⚠️  Re-evaluation queue delete error for ${pairAddress}:`, error.message);
+      }
+    }
+  }
+
+  async size() {
+    let redisSize = 0;
+    if (this.redisAvailable) {
+      try {
+        redisSize = await this.redis.zcard(this.dueKey);
+      } catch (error) {
+        // Report memory queue only
+      }
+    }
+    return redisSize + this.memoryQueue.size;
+  }
+
+  async shutdown() {
+    if (this.redis) {
+      try {
+        await this.redis.quit();
+      } catch (error) {
+        console.warn('   ⚠️  Re-evaluation Redis disconnect error:', error.message);
+      }
+      this.redis = null;
+      this.redisAvailable = false;
+    }
+    this.memoryQueue.clear();
+  }
+}
@@ -0,0 +1,141 @@
+import { config } from '../config.js';
+
+/**
+ * Reorg Tracker
+ *
+ * Remembers the hashes of recently scanned blocks and the pairs detected in
+ * them, so the monitor can notice when the chain it scanned has been replaced
+ * and find the last block both chains still agree on.
+ */
+export class ReorgTracker {
+  constructor(options = {}) {
+    this.window = options.window || config.reorg?.trackBlocks || 200;
+    this.blockHashes = new Map(); // blockNumber -> blockHash
+    this.pairs = new Map(); // pairAddress -> { blockNumber, blockHash, transactionHash, token0, token1, channel }
+  }
+
+  /**
+   * Remember the hash of a scanned block
+   */
+  recordBlock(blockNumber, blockHash) {
+    if (blockHash) {
+      this.blockHashes.set(blockNumber, blockHash);
+    }
+  }
+
+  /**
+   * Remember a detected pair together with the block it was created in
+   */
+  recordPair(pairAddress, details) {
+    // Hashes of unconfirmed blocks may still change; only confirmed scans record them
+    if (!details.unconfirmed) {
+      this.recordBlock(details.blockNumber, details.blockHash);
+    }
+    this.pairs.set(pairAddress.toLowerCase(), { channel: null, ...details, pairAddress });
+  }
+
+  /**
+   * Remember which channel(s) a pair was alerted to, for retraction
+   */
+  markAlerted(pairAddress, channel) {
+    const pair = this.pairs.get(pairAddress.toLowerCase());
+    if (pair) {
+      pair.channel = channel;
+    }
+  }
+
+  forgetPair(pairAddress) {
+    this.pairs.delete(pairAddress.toLowerCase());
+  }
+
+  /**
+   * Pairs seen before confirmation (e.g. via WebSocket) up to `blockNumber`
+   */
+  getUnconfirmedPairs(blockNumber) {
+    return [...this.pairs.values()].filter(
+      pair => pair.unconfirmed && pair.blockNumber <= blockNumber
+    );
+  }
+
+  /**
+   * Compare tracked hashes against the chain, newest first
+   *
+   * @param {number} fromBlock - Highest block to verify
+   * @param {Function} getBlockHash - async (blockNumber) => hash | null
+   * @returns {null|{ commonAncestor: number, pairs: object[] }} null if no reorg
+   */
+  async detectReorg(fromBlock, getBlockHash) {
+    const tracked = [...this.blockHashes.keys()]
+      .filter(blockNumber => blockNumber <= fromBlock)
+      .sort((a, b) => b - a);
+
+    if (tracked.length === 0) {
+      return null;
+    }
+
+    let reorged = false;
+    let commonAncestor = null;
+
+    for (const blockNumber of tracked) {
+      const hash = await getBlockHash(blockNumber);
+      if (hash === this.blockHashes.get(blockNumber)) {
+        commonAncestor = blockNumber;
+        break;
+      }
+      reorged = true;
+    }
+
+    if (!reorged) {
+      return null;
+    }
+
+    // Reorg deeper than the tracking window: rewind to the oldest tracked block
+    if (commonAncestor === null) {
+      commonAncestor = tracked[tracked.length - 1] - 1;
+    }
+
+    return {
+      commonAncestor,
+      pairs: this.rewind(commonAncestor),
+    };
+  }
+
+  /**
+   * Forget everything above `blockNumber`, returning the pairs dropped
+   */
+  rewind(blockNumber) {
+    for (const tracked of [...this.blockHashes.keys()]) {
+      if (tracked > blockNumber) {
+        this.blockHashes.delete(tracked);
+      }
+    }
+
+    const dropped = [];
+    for (const [key, pair] of this.pairs.entries()) {
+      if (pair.blockNumber > blockNumber) {
+        dropped.push(pair);
+        this.pairs.delete(key);
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Drop entries that fell out of the tracking window
+   */
+  prune(latestBlock) {
+    const oldest = latestBlock - this.window;
+
+    for (const blockNumber of [...this.blockHashes.keys()]) {
+      if (blockNumber < oldest) {
+        this.blockHashes.delete(blockNumber);
+      }
+    }
+
+    for (const [key, pair] of this.pairs.entries()) {
+      if (pair.blockNumber < oldest) {
+        this.pairs.delete(key);
+      }
+    }
+  }
+}
@@ -1,8 +1,9 @@
 import { ethers } from 'ethers';
 import { ExplorerFactory } from '../explorers/explorerFactory.js';
+import { getMulticall } from '../utils/multicall.js';
 
 // Known LP locker addresses on BSC
-const LP_LOCKERS = [
+export const LP_LOCKERS = [
   '0x407993575c91ce7643a4d4ccacc9a98c36ee1bbe', // PinkLock
   '0xc765bddb93b0d1c1a88282ba0fa6b2d00e3e0c83', // PinkLock v2
   '0x71B5759d73262FBb223956913ecF4ecC51057641', // Team Finance
@@ -19,6 +20,7 @@ const OWNABLE_ABI = [
 export class SecurityChecksService {
   constructor(provider) {
     this.provider = provider;
+    this.multicall = getMulticall(provider);
     this.explorer = ExplorerFactory.getDefaultExplorer();
   }
 
@@ -32,8 +34,16 @@ export class SecurityChecksService {
     };
 
     try {
+      // Explorer lookup and on-chain reads run side by side; the on-chain
+      // ones share a multicall batch
+      const [verified, renounced, lpLocked] = await Promise.all([
+        this.isCodeVerified(tokenAddress),
+        this.isOwnerRenounced(tokenAddress),
+        this.isLPLocked(pairAddress),
+      ]);
+
       // Check 1: Code verified on scanner
-      results.verified = await this.isCodeVerified(tokenAddress);
+      results.verified = verified;
       if (results.verified) {
         results.score += 1;
       } else {
@@ -41,7 +51,7 @@ export class SecurityChecksService {
       }
 
       // Check 2: Owner renounced
-      results.renounced = await this.isOwnerRenounced(tokenAddress);
+      results.renounced = renounced;
       if (results.renounced) {
         results.score += 1;
       } else {
@@ -49,7 +59,7 @@ export class SecurityChecksService {
       }
 
       // Check 3: LP locked
-      results.lpLocked = await this.isLPLocked(pairAddress);
+      results.lpLocked = lpLocked;
       if (results.lpLocked) {
         results.score += 1;
       } else {
@@ -78,20 +88,21 @@ export class SecurityChecksService {
     try {
       const contract = new ethers.Contract(tokenAddress, OWNABLE_ABI, this.provider);
       
+      // Ask owner() and getOwner() in the same batch, prefer owner()
+      const [owner, getOwner] = await Promise.allSettled([
+        this.multicall.call(contract, 'owner'),
+        this.multicall.call(contract, 'getOwner'),
+      ]);
+
       let ownerAddress;
-      
-      // Try owner() first
-      try {
-        ownerAddress = await contract.owner();
-      } catch {
-        // Try getOwner() if owner() fails
-        try {
-          ownerAddress = await contract.getOwner();
-        } catch {
-          // Contract might not be Ownable
-          console.warn(`Contract ${tokenAddress} is not Ownable`);
-          return false;
-        }
+      if (owner.status === 'fulfilled') {
+        ownerAddress = owner.value;
+      } else if (getOwner.status === 'fulfilled') {
+        ownerAddress = getOwner.value;
+      } else {
+        // Contract might not be Ownable
+        console.warn(`Contract ${tokenAddress} is not Ownable`);
+        return false;
       }
 
       // Check if owner is zero address (renounced)
@@ -110,17 +121,15 @@ export class SecurityChecksService {
       const lpTokenABI = ['function balanceOf(address) view returns (uint256)'];
       const lpContract = new ethers.Contract(pairAddress, lpTokenABI, this.provider);
 
-      for (const lockerAddress of LP_LOCKERS) {
-        try {
-          const balance = await lpContract.balanceOf(lockerAddress);
-          
-          if (balance > 0n) {
-            console.log(`✅ LP locked at ${lockerAddress}`);
-            return true;
-          }
-        } catch (error) {
-          // Continue checking other lockers
-          continue;
+      // All lockers in one batch; a failed lookup just doesn't count
+      const balances = await Promise.allSettled(
+        LP_LOCKERS.map(lockerAddress => this.multicall.call(lpContract, 'balanceOf', [lockerAddress]))
+      );
+
+      for (let i = 0; i < LP_LOCKERS.length; i++) {
+        if (balances[i].status === 'fulfilled' && balances[i].value > 0n) {
+          console.log(`✅ LP locked at ${LP_LOCKERS[i]}`);
+          return true;
         }
       }
 
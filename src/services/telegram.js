@@ -7,6 +7,7 @@ export class TelegramService {
     this.vipChatId = vipChatId || config.telegram.vipChatId;
     this.publicChatId = publicChatId || config.telegram.publicChatId;
     this.legacyChatId = config.telegram.chatId;
+    this.adminChatId = config.telegram.adminChatId;
     this.bot = null;
     
     // Normalize public chat ID (add @ if it's a username without @ or -)
@@ -33,6 +34,10 @@ export class TelegramService {
       if (this.legacyChatId && !this.vipChatId) {
         console.log(`   📱 Legacy channel: ${this.legacyChatId}`);
       }
+      
+      if (this.adminChatId) {
+        console.log(`   📱 Admin chat: ${this.adminChatId} (operational notices)`);
+      }
     }
     return this.bot;
   }
@@ -141,11 +146,25 @@ export class TelegramService {
       liquidityUSD,
       liquidityFormatted,
       securityChecks,
+      dex,
+      poolType,
+      feeTier,
+      stable,
+      pendingLaunch,
+      initialLiquidity,
+      relaunch,
     } = pairData;
     
     // Get explorer and DEX URLs
     const explorerBase = getExplorerBaseUrl(config.chainId);
-    const dexBase = getDexBaseUrl(config.chainId);
+    const swapUrl = dex?.swapUrl || `${getDexBaseUrl(config.chainId)}/#/swap?outputCurrency=`;
+    const dexName = dex?.name || 'DEX';
+    let poolLabel = '';
+    if (poolType === 'v3' && feeTier) {
+      poolLabel = ` (V3 pool, ${feeTier / 10000}% fee)`;
+    } else if (poolType === 'solidly') {
+      poolLabel = stable ? ' (⚖️ Stable pool)' : ' (📈 Volatile pool)';
+    }
     
     // Build links section if enabled
     let linksSection = '';
@@ -155,15 +174,22 @@ export class TelegramService {
    [Token0](${explorerBase}/token/${token0.address})
    [Token1](${explorerBase}/token/${token1.address})
    [Transaction](${explorerBase}/tx/${transactionHash})
-   [Trade on DEX](${dexBase}/#/swap?outputCurrency=${token0.address})
+   [Trade on ${dexName}](${swapUrl}${token0.address})
 `;
     }
     
+    // Liquidity added to an old pair gets its own header and the pair age
+    const header = relaunch ? '♻️ *Liquidity Added to Dormant Pair*' : '🆕 *New High Liquidity Pair*';
+    const relaunchLine = relaunch
+      ? `⏳ Pair age: ${this.formatAge(relaunch.pairAgeSeconds)}${relaunch.drained ? ' (drained after launch, now refilled)' : ''}\n`
+      : '';
+    
     // Create message
     const message = `
-🆕 *New High Liquidity Pair*
+${header}
 
 📍 Pair: \`${pairAddress}\`
+🏦 DEX: ${dexName}${poolLabel}
 
 🪙 *Token 0:* ${token0.symbol || '???'}
    ${token0.name || 'Unknown'}
@@ -174,7 +200,7 @@ export class TelegramService {
    \`${token1.address}\`
 
 💧 *Liquidity:* ${liquidityFormatted}
-
+${relaunchLine}${this.formatInitialLiquidity(initialLiquidity, token0, token1, explorerBase)}${pendingLaunch ? `🔭 Seen in mempool ${pendingLaunch.leadSeconds}s before detection\n` : ''}
 🔒 *Security Checks:*
 ${securityChecks.longFormat}
 ${linksSection}
@@ -217,6 +243,190 @@ ${linksSection}
     await Promise.allSettled(promises);
   }
 
+  /**
+   * Human readable pair age, e.g. "3d 4h" or "45m"
+   */
+  formatAge(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return 'unknown';
+    }
+
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+  }
+
+  /**
+   * Initial liquidity section for pair alerts (empty if it couldn't be decoded)
+   */
+  formatInitialLiquidity(initialLiquidity, token0, token1, explorerBase) {
+    if (!initialLiquidity) {
+      return '';
+    }
+
+    const lpIcons = { burn: '🔥 Burned', locker: '🔒 Locker', deployer: '👤 Deployer', other: '❓ Other' };
+    const formatAmount = amount => Number(amount).toLocaleString(undefined, { maximumFractionDigits: 4 });
+    const formatShare = (share, symbol) => (share !== null ? `\n   Supply in pool: ${share}% of ${symbol}` : '');
+
+    // Show the supply share of the launched token (the one with the larger share)
+    const share0 = initialLiquidity.supplyShare0 ?? -1;
+    const share1 = initialLiquidity.supplyShare1 ?? -1;
+    const supplyLine = share0 >= share1
+      ? formatShare(initialLiquidity.supplyShare0, token0.symbol)
+      : formatShare(initialLiquidity.supplyShare1, token1.symbol);
+
+    let lpLine = '';
+    if (initialLiquidity.lpRecipients === null) {
+      lpLine = '\n   LP: V3 position NFT';
+    } else if (initialLiquidity.lpRecipients.length > 0) {
+      const recipients = initialLiquidity.lpRecipients
+        .map(recipient => `${lpIcons[recipient.type]} ${recipient.share}%`)
+        .join(', ');
+      lpLine = `\n   LP tokens: ${recipients}`;
+    }
+
+    return `
+🧪 *Initial Liquidity:*
+   Added by: [${initialLiquidity.addedBy}](${explorerBase}/address/${initialLiquidity.addedBy})${initialLiquidity.action ? ` via \`${initialLiquidity.action}\`` : ''}
+   Amounts: ${formatAmount(initialLiquidity.amount0)} ${token0.symbol || '???'} + ${formatAmount(initialLiquidity.amount1)} ${token1.symbol || '???'}${supplyLine}${lpLine}
+`;
+  }
+
+  /**
+   * Launch transaction seen in the mempool, before it is mined (VIP only)
+   */
+  async sendPendingLaunch(launch) {
+    const explorerBase = getExplorerBaseUrl(config.chainId);
+    const formatAmount = token => (token.amount !== null ? `\n   Amount: ${Number(token.amount).toLocaleString()}` : '');
+    let poolLabel = '';
+    if (launch.fee) {
+      poolLabel = ` (V3 pool, ${launch.fee / 10000}% fee)`;
+    } else if (launch.stable !== null) {
+      poolLabel = launch.stable ? ' (⚖️ Stable pool)' : ' (📈 Volatile pool)';
+    }
+
+    const message = `
+🔭 *Pending Launch (not mined yet)*
+
+🏦 DEX: ${launch.dex.name}${poolLabel}
+⚡ Action: \`${launch.action}\`
+
+🪙 *Token A:* ${launch.tokenA.symbol || '???'}
+   \`${launch.tokenA.address}\`${formatAmount(launch.tokenA)}
+
+🪙 *Token B:* ${launch.tokenB.symbol || '???'}
+   \`${launch.tokenB.address}\`${formatAmount(launch.tokenB)}
+
+👤 From: [${launch.from}](${explorerBase}/address/${launch.from})
+📝 TX: \`${launch.txHash}\`
+    `.trim();
+
+    const promises = [];
+    
+    if (this.vipChatId) {
+      promises.push(
+        this.sendToVipChannel(message).catch(err => 
+          console.error('Failed to send pending launch to VIP:', err.message)
+        )
+      );
+    }
+    
+    if (this.legacyChatId && !this.vipChatId) {
+      promises.push(
+        this.sendMessage(this.legacyChatId, message).catch(err => 
+          console.error('Failed to send pending launch to legacy:', err.message)
+        )
+      );
+    }
+    
+    await Promise.allSettled(promises);
+  }
+
+  async sendPairOrphaned(pair, channel = 'both') {
+    const explorerBase = getExplorerBaseUrl(config.chainId);
+
+    const message = `
+⚠️ *Alert Retracted - Pair Orphaned*
+
+📍 Pair: \`${pair.pairAddress}\`
+
+The block containing this pair's creation was dropped by a chain reorganization and the pair no longer exists. Please disregard the previous alert.
+
+🔗 Original block: ${pair.blockNumber || 'N/A'}
+📝 Original TX: [${pair.transactionHash || 'N/A'}](${explorerBase}/tx/${pair.transactionHash})
+    `.trim();
+
+    const promises = [];
+    
+    if (channel === 'vip' || channel === 'both') {
+      if (this.vipChatId) {
+        promises.push(
+          this.sendToVipChannel(message).catch(err => 
+            console.error('Failed to send retraction to VIP:', err.message)
+          )
+        );
+      }
+      
+      if (this.legacyChatId && !this.vipChatId) {
+        promises.push(
+          this.sendMessage(this.legacyChatId, message).catch(err => 
+            console.error('Failed to send retraction to legacy:', err.message)
+          )
+        );
+      }
+    }
+    
+    if (channel === 'public' || channel === 'both') {
+      if (this.publicChatId) {
+        promises.push(
+          this.sendToPublicChannel(message).catch(err => 
+            console.error('Failed to send retraction to Public:', err.message)
+          )
+        );
+      }
+    }
+    
+    await Promise.allSettled(promises);
+  }
+
+  /**
+   * RPC endpoint circuit breaker changed state (admin chat only)
+   */
+  async sendCircuitTransition(transition) {
+    if (!this.adminChatId) {
+      return;
+    }
+
+    const icons = { open: '🔴', 'half-open': '🟡', closed: '🟢' };
+    const labels = {
+      open: 'taken out of rotation',
+      'half-open': 'probing',
+      closed: 'back in rotation',
+    };
+
+    // Endpoint name only: URLs can carry API keys
+    const host = transition.name || `endpoint ${transition.index}`;
+
+    const message = `
+${icons[transition.to]} RPC [${transition.index}] ${labels[transition.to]}
+
+🌐 ${host}
+🔁 ${transition.from} → ${transition.to}
+📝 ${transition.reason}
+    `.trim();
+
+    // Plain text: the reason is a raw error message
+    try {
+      await this.sendMessage(this.adminChatId, message, { parse_mode: undefined });
+    } catch (error) {
+      console.error('Failed to send circuit transition to admin:', error.message);
+    }
+  }
+
   async sendError(error) {
     const message = `
 ⚠️ *Error Occurred*
@@ -262,6 +472,22 @@ ${error.message || error.toString()}
       ? ((stats.filtered / stats.total) * 100).toFixed(1)
       : '0.0';
 
+    const dexLines = Object.entries(stats.byDex || {})
+      .map(([dexName, dexStats]) => `   ${dexName}: ${dexStats.detected} detected, ${dexStats.alerted} alerted`)
+      .join('\n');
+    const dexSection = dexLines ? `\n🏦 *By DEX:*\n${dexLines}\n` : '';
+
+    const stageLines = (stats.pipelineStats || [])
+      .map(stage => `   ${stage.name}: queue ${stage.depth} (max ${stage.maxDepth}), avg ${(stage.avgRunMs / 1000).toFixed(1)}s`)
+      .join('\n');
+    const pipelineSection = stageLines ? `\n⚙️ *Pipeline:*\n${stageLines}\n` : '';
+
+    // Endpoint index only: URLs can carry API keys
+    const rpcLines = (stats.rpcStats?.providers || [])
+      .map(endpoint => `   [${endpoint.index}] ${endpoint.circuit.state === 'half-open' ? '🟡 probing,' : !endpoint.healthy ? '❌' : endpoint.lagging ? `🐢 ${endpoint.lag} blocks behind,` : '✅'} ${endpoint.requests} req, ${endpoint.errors} err (${endpoint.rateLimited} rate limited), avg ${endpoint.ewmaLatency ?? '-'}ms`)
+      .join('\n');
+    const rpcSection = rpcLines ? `\n🌐 *RPC (${stats.rpcStats.strategy}):*\n${rpcLines}\n` : '';
+
     const message = `
 📊 *Periodic Statistics Report*
 
@@ -271,14 +497,17 @@ ${error.message || error.toString()}
    Total pairs detected: ${stats.total}
    Filtered (low liquidity): ${stats.filtered}
    Filter rate: ${filterRate}%
+   Re-checks: ${stats.reevaluated || 0} scheduled, ${stats.mintTriggered || 0} on liquidity add (${stats.recovered || 0} alerted later)
+   Dormant pair relaunches: ${stats.relaunches || 0}
 
 📱 *Alerts Sent:*
    VIP channel (>${config.liquidity.minVIP / 1000}k): ${stats.vip}
    Public channel (>${config.liquidity.minPublic / 1000}k): ${stats.public}
    Total alerts: ${stats.vip + stats.public}
-
+${dexSection}${pipelineSection}${rpcSection}
 ❌ *Errors:*
    Processing errors: ${stats.errors || 0}
+   Chain reorgs: ${stats.reorgs || 0} (${stats.orphaned || 0} orphaned)
 
 ✅ Bot is running smoothly
     `.trim();
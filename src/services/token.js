@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { getMulticall } from '../utils/multicall.js';
 
 // Minimal ERC20 ABI
 const ERC20_ABI = [
@@ -14,14 +15,18 @@ export class TokenService {
   }
 
   async getTokenInfo(tokenAddress) {
-    const provider = this.providerService.provider;
+    // MultiRPCProviderService exposes a failover-aware provider
+    const provider = this.providerService.getFailoverProvider
+      ? this.providerService.getFailoverProvider()
+      : this.providerService.provider;
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const multicall = getMulticall(provider);
     
     const results = await Promise.allSettled([
-      this.callWithTimeout(tokenContract.name(), 5000, 'Unknown'),
-      this.callWithTimeout(tokenContract.symbol(), 5000, '???'),
-      this.callWithTimeout(tokenContract.decimals(), 5000, 18),
-      this.callWithTimeout(tokenContract.totalSupply(), 5000, 0n),
+      this.callWithTimeout(multicall.call(tokenContract, 'name'), 5000, 'Unknown'),
+      this.callWithTimeout(multicall.call(tokenContract, 'symbol'), 5000, '???'),
+      this.callWithTimeout(multicall.call(tokenContract, 'decimals'), 5000, 18),
+      this.callWithTimeout(multicall.call(tokenContract, 'totalSupply'), 5000, 0n),
     ]);
 
     const [name, symbol, decimals, totalSupply] = results.map((result, index) => {
@@ -1,5 +1,9 @@
 import axios from 'axios';
 import { config } from '../config.js';
+import { withBackoff } from '../utils/backoff.js';
+
+// Quick retries only: the next source in line is the better fallback
+const HTTP_RETRY = { maxRetries: 2, initialDelay: 500, maxDelay: 5000 };
 
 /**
  * Volume Analyzer Service
@@ -10,6 +14,7 @@ import { config } from '../config.js';
  * - Swap count analysis (15-minute window)
  * - 24h volume tracking
  * - Activity pattern detection
+ * - Retries classified by error (network/5xx retried, 4xx not)
  * 
  * Sprint 1 - ~320 lines of code
  */
@@ -35,13 +40,17 @@ export class VolumeAnalyzerService {
 
   /**
    * Analyze pair volume and activity
+   * 
+   * @param {string} pairAddress
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - Cancels requests and retries
    */
-  async analyzePair(pairAddress) {
+  async analyzePair(pairAddress, { signal } = {}) {
     console.log(`   📊 Analyzing volume for ${pairAddress}...`);
 
     try {
       // Try Subgraph first (more accurate)
-      const subgraphData = await this.fetchFromSubgraph(pairAddress);
+      const subgraphData = await this.fetchFromSubgraph(pairAddress, { signal });
       if (subgraphData.success) {
         console.log(`   ✅ Volume from Subgraph: $${subgraphData.volume24h.toLocaleString()}`);
         return subgraphData;
@@ -52,7 +61,7 @@ export class VolumeAnalyzerService {
 
     try {
       // Fallback to DexScreener
-      const dexScreenerData = await this.fetchFromDexScreener(pairAddress);
+      const dexScreenerData = await this.fetchFromDexScreener(pairAddress, { signal });
       if (dexScreenerData.success) {
         console.log(`   ✅ Volume from DexScreener: $${dexScreenerData.volume24h.toLocaleString()}`);
         return dexScreenerData;
@@ -75,13 +84,14 @@ export class VolumeAnalyzerService {
   /**
    * Fetch volume data from Subgraph
    */
-  async fetchFromSubgraph(pairAddress) {
-    // Rate limiting
+  async fetchFromSubgraph(pairAddress, { signal } = {}) {
+    // Rate limiting (reserve the next slot so concurrent callers queue up)
     const now = Date.now();
-    const timeSinceLastCall = now - this.lastSubgraphCall;
-    if (timeSinceLastCall < this.subgraphRateLimit) {
+    const slot = Math.max(now, this.lastSubgraphCall + this.subgraphRateLimit);
+    this.lastSubgraphCall = slot;
+    if (slot > now) {
       await new Promise(resolve => 
-        setTimeout(resolve, this.subgraphRateLimit - timeSinceLastCall)
+        setTimeout(resolve, slot - now)
       );
     }
 
@@ -118,18 +128,23 @@ export class VolumeAnalyzerService {
       }
     `;
 
-    const response = await axios.post(
-      this.subgraphUrl,
-      { query },
-      {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      }
+    const response = await withBackoff(
+      () => axios.post(
+        this.subgraphUrl,
+        { query },
+        {
+          timeout: 10000,
+          signal,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        }
+      ),
+      `Subgraph volume(${pairAddress})`,
+      { ...HTTP_RETRY, signal }
     );
 
-    this.lastSubgraphCall = Date.now();
+    this.lastSubgraphCall = Math.max(this.lastSubgraphCall, Date.now());
 
     if (response.data.errors) {
       throw new Error(`Subgraph query error: ${JSON.stringify(response.data.errors)}`);
@@ -172,28 +187,34 @@ export class VolumeAnalyzerService {
   /**
    * Fetch volume data from DexScreener API
    */
-  async fetchFromDexScreener(pairAddress) {
-    // Rate limiting
+  async fetchFromDexScreener(pairAddress, { signal } = {}) {
+    // Rate limiting (reserve the next slot so concurrent callers queue up)
     const now = Date.now();
-    const timeSinceLastCall = now - this.lastDexScreenerCall;
-    if (timeSinceLastCall < this.dexScreenerRateLimit) {
+    const slot = Math.max(now, this.lastDexScreenerCall + this.dexScreenerRateLimit);
+    this.lastDexScreenerCall = slot;
+    if (slot > now) {
       await new Promise(resolve => 
-        setTimeout(resolve, this.dexScreenerRateLimit - timeSinceLastCall)
+        setTimeout(resolve, slot - now)
       );
     }
 
     const chainName = this.getChainName(config.chainId);
-    const response = await axios.get(
-      `https://api.dexscreener.com/latest/dex/pairs/${chainName}/${pairAddress}`,
-      {
-        timeout: 5000,
-        headers: {
-          'Accept': 'application/json',
-        },
-      }
+    const response = await withBackoff(
+      () => axios.get(
+        `https://api.dexscreener.com/latest/dex/pairs/${chainName}/${pairAddress}`,
+        {
+          timeout: 5000,
+          signal,
+          headers: {
+            'Accept': 'application/json',
+          },
+        }
+      ),
+      `DexScreener volume(${pairAddress})`,
+      { ...HTTP_RETRY, signal }
     );
 
-    this.lastDexScreenerCall = Date.now();
+    this.lastDexScreenerCall = Math.max(this.lastDexScreenerCall, Date.now());
 
     if (!response.data || !response.data.pair) {
       throw new Error('Pair not found on DexScreener');
@@ -1,42 +1,103 @@
 import { config } from '../config.js';
+import { classifyError, abortError, ErrorClass, RETRY_POLICIES } from './errors.js';
 
+/**
+ * Retry with exponential backoff, driven by the error class
+ *
+ * - Reverts, bad input and fatal errors are thrown at once
+ * - Rate-limited errors wait at least the server's Retry-After (and give up
+ *   if that is longer than maxDelay)
+ * - Delays are jittered so callers failing together don't retry together
+ * - An AbortSignal (options.signal) stops both the attempts and the waits
+ *
+ * Options: maxRetries, initialDelay, maxDelay, factor, jitter (0-1),
+ * signal, policies ({ [errorClass]: { retry, maxRetries } } overrides).
+ */
 export class BackoffRetry {
   constructor(options = {}) {
-    this.maxRetries = options.maxRetries || config.backoff.maxRetries;
+    this.maxRetries = options.maxRetries ?? config.backoff.maxRetries;
     this.initialDelay = options.initialDelay || config.backoff.initialDelay;
     this.maxDelay = options.maxDelay || config.backoff.maxDelay;
     this.factor = options.factor || 2;
+    this.jitter = options.jitter ?? config.backoff.jitter ?? 0.5;
+    this.signal = options.signal || null;
+    this.policies = { ...RETRY_POLICIES, ...options.policies };
   }
 
+  /**
+   * @param {Function} fn - ({ attempt, signal }) => Promise
+   * @param {string} context - Label for logs
+   */
   async execute(fn, context = 'Operation') {
     let lastError;
-    
+
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (this.signal?.aborted) {
+        throw abortError(this.signal);
+      }
+
       try {
-        return await fn();
+        return await fn({ attempt, signal: this.signal });
       } catch (error) {
         lastError = error;
-        
-        if (attempt === this.maxRetries) {
-          console.error(`${context} failed after ${this.maxRetries + 1} attempts:`, error.message);
+
+        const { errorClass, retryAfter } = classifyError(error);
+        const policy = this.policies[errorClass] || RETRY_POLICIES[ErrorClass.TRANSIENT];
+        const maxRetries = Math.min(policy.maxRetries ?? this.maxRetries, this.maxRetries);
+
+        if (!policy.retry || this.signal?.aborted) {
+          throw error;
+        }
+
+        if (attempt >= maxRetries) {
+          console.error(`${context} failed after ${attempt + 1} attempts (${errorClass}):`, error.message);
+          throw error;
+        }
+
+        // Waiting longer than maxDelay isn't worth holding the caller for
+        if (retryAfter !== null && retryAfter > this.maxDelay) {
+          console.error(`${context} rate limited for ${Math.round(retryAfter / 1000)}s, giving up:`, error.message);
           throw error;
         }
-        
-        const delay = Math.min(
-          this.initialDelay * Math.pow(this.factor, attempt),
-          this.maxDelay
-        );
-        
-        console.warn(`${context} failed (attempt ${attempt + 1}/${this.maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+        const delay = Math.max(this.getDelay(attempt), retryAfter ?? 0);
+
+        console.warn(`${context} failed (${errorClass}, attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
         await this.sleep(delay);
       }
     }
-    
+
     throw lastError;
   }
 
+  /**
+   * Exponential delay, with the `jitter` share of it randomized
+   */
+  getDelay(attempt) {
+    const delay = Math.min(
+      this.initialDelay * Math.pow(this.factor, attempt),
+      this.maxDelay
+    );
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+  }
+
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise((resolve, reject) => {
+      if (!this.signal) {
+        setTimeout(resolve, ms);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(this.signal));
+      };
+      const timer = setTimeout(() => {
+        this.signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      this.signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
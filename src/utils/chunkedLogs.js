@@ -0,0 +1,100 @@
+import { config } from '../config.js';
+
+// Error messages RPC nodes return when an eth_getLogs range is too wide
+// (only "too large"/"exceeded" wordings: an invalid range must surface)
+const RANGE_ERROR_PATTERNS = [
+  /range (is )?too (large|wide|big)/i,
+  /block range (limit )?(is )?(too|exceed)/i,
+  /limited to a [\d,]+ (block )?range/i,
+  /ranges? over [\d,]+ blocks/i,
+  /too many (results|logs|blocks)/i,
+  /more than \d+ (results|logs)/i,
+  /query returned more than/i,
+  /exceed(s|ed)? (the )?(maximum|max|limit)/i,
+  /logs? (matched|returned).*exceed/i,
+  /response size/i,
+  /results? (is )?too (large|big)/i,
+];
+
+/**
+ * Check whether an error means the queried block range must be narrowed
+ */
+export function isRangeError(error) {
+  const message = [error?.message, error?.error?.message, error?.info?.error?.message]
+    .filter(Boolean)
+    .join(' ');
+  return RANGE_ERROR_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Adaptive chunked log scanner
+ *
+ * Splits a block range into chunks that fit RPC getLogs limits. The chunk
+ * size halves on "range too large"/"too many results" errors and grows back
+ * after successful queries. Each chunk is handed to `onChunk` before the next
+ * one is queried, so callers can persist progress per chunk.
+ */
+export class ChunkedLogScanner {
+  constructor(options = {}) {
+    this.minChunkSize = options.minChunkSize || config.logQuery.minChunkSize;
+    this.maxChunkSize = options.maxChunkSize || config.logQuery.maxChunkSize;
+    this.chunkSize = Math.min(
+      options.initialChunkSize || config.logQuery.initialChunkSize,
+      this.maxChunkSize
+    );
+    this.growthFactor = options.growthFactor || 1.5;
+  }
+
+  /**
+   * Scan [fromBlock, toBlock] chunk by chunk
+   *
+   * @param {number} fromBlock - First block to scan (inclusive)
+   * @param {number} toBlock - Last block to scan (inclusive)
+   * @param {Function} queryFn - async (from, to) => logs
+   * @param {Function} onChunk - async (logs, from, to) => void, called in
+   *   order; returning false stops the scan after that chunk
+   * @returns {number} Last block whose chunk completed
+   */
+  async scan(fromBlock, toBlock, queryFn, onChunk) {
+    let start = fromBlock;
+    let lastCompleted = fromBlock - 1;
+
+    while (start <= toBlock) {
+      const end = Math.min(start + this.chunkSize - 1, toBlock);
+
+      let logs;
+      try {
+        logs = await queryFn(start, end);
+      } catch (error) {
+        if (isRangeError(error) && this.chunkSize > this.minChunkSize) {
+          const previous = this.chunkSize;
+          this.chunkSize = Math.max(Math.floor(this.chunkSize / 2), this.minChunkSize);
+          console.warn(`   ⚠️  Log range ${start}-${end} rejected, shrinking chunk ${previous} → ${this.chunkSize} blocks`);
+          continue;
+        }
+        throw error;
+      }
+
+      const proceed = await onChunk(logs, start, end);
+      lastCompleted = end;
+      start = end + 1;
+
+      this.grow();
+
+      if (proceed === false) {
+        break;
+      }
+    }
+
+    return lastCompleted;
+  }
+
+  grow() {
+    if (this.chunkSize < this.maxChunkSize) {
+      this.chunkSize = Math.min(
+        Math.ceil(this.chunkSize * this.growthFactor),
+        this.maxChunkSize
+      );
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Circuit breaker with time-decayed error rate and half-open probing
+ *
+ * States:
+ * - closed: requests flow; outcomes are counted with exponential decay
+ *   (`halfLife`), so old errors fade out instead of adding up forever.
+ *   The circuit opens when the decayed error rate reaches `errorThreshold`
+ *   over at least `minRequests` (decayed) requests.
+ * - open: no requests until the cool-down has passed.
+ * - half-open: exactly one probe request is let through. Success closes
+ *   the circuit; failure re-opens it with a doubled cool-down (up to
+ *   `maxCoolDown`).
+ *
+ * `onTransition({ from, to, reason })` is called on every state change.
+ */
+export class CircuitBreaker {
+  constructor({
+    errorThreshold = 0.5,
+    minRequests = 5,
+    halfLife = 60000,
+    coolDown = 30000,
+    maxCoolDown = 600000,
+    onTransition = null,
+  } = {}) {
+    this.errorThreshold = errorThreshold;
+    this.minRequests = minRequests;
+    this.halfLife = halfLife;
+    this.baseCoolDown = coolDown;
+    this.maxCoolDown = maxCoolDown;
+    this.onTransition = onTransition;
+
+    this.state = 'closed';
+    this.successes = 0; // Decayed counts
+    this.failures = 0;
+    this.lastDecay = Date.now();
+    this.coolDown = coolDown;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.transitions = 0;
+  }
+
+  decay() {
+    const now = Date.now();
+    const factor = Math.pow(0.5, (now - this.lastDecay) / this.halfLife);
+    this.successes *= factor;
+    this.failures *= factor;
+    this.lastDecay = now;
+  }
+
+  get errorRate() {
+    this.decay();
+    const total = this.successes + this.failures;
+    return total > 0 ? this.failures / total : 0;
+  }
+
+  /**
+   * Whether a request may be sent now (moves open → half-open once the
+   * cool-down has passed)
+   */
+  allowsRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.coolDown) {
+      this.transition('half-open', `cool-down of ${Math.round(this.coolDown / 1000)}s elapsed`);
+    }
+
+    if (this.state === 'half-open') {
+      return !this.probeInFlight;
+    }
+    return this.state === 'closed';
+  }
+
+  /**
+   * A request is about to be sent (claims the probe in half-open state)
+   */
+  onRequest() {
+    if (this.state === 'half-open') {
+      this.probeInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.decay();
+    this.successes++;
+
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+      this.successes = 0;
+      this.failures = 0;
+      this.coolDown = this.baseCoolDown;
+      this.transition('closed', 'probe succeeded');
+    }
+  }
+
+  recordFailure(reason = 'request failed') {
+    this.decay();
+    this.failures++;
+
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+      this.coolDown = Math.min(this.coolDown * 2, this.maxCoolDown);
+      this.open(`probe failed: ${reason}`);
+      return;
+    }
+
+    const total = this.successes + this.failures;
+    if (this.state === 'closed' && total >= this.minRequests && this.failures / total >= this.errorThreshold) {
+      this.open(`error rate ${(this.errorRate * 100).toFixed(0)}%: ${reason}`);
+    }
+  }
+
+  /**
+   * The request ended without telling anything about the endpoint's
+   * health (e.g. it was throttled): free the probe slot
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  open(reason) {
+    this.openedAt = Date.now();
+    this.transition('open', reason);
+  }
+
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+
+    this.state = to;
+    this.transitions++;
+
+    if (this.onTransition) {
+      this.onTransition({ from, to, reason });
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      errorRate: Number(this.errorRate.toFixed(3)),
+      coolDownMs: this.coolDown,
+      openedAt: this.openedAt,
+      transitions: this.transitions,
+    };
+  }
+}
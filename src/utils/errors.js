@@ -0,0 +1,206 @@
+import { isRangeError } from './chunkedLogs.js';
+
+/**
+ * Error taxonomy shared by RPC, explorer and HTTP calls
+ *
+ * Every failure falls in one class, which decides what a caller does next:
+ * - transient: network hiccup or timeout, retry with backoff
+ * - rate-limited: slow down, retry after `retryAfter` ms if the server said so
+ * - provider-fault: the service answered but is broken (5xx, malformed or
+ *   pruned data), retry a little or try another provider
+ * - revert: the contract said no, same answer everywhere, never retry
+ * - bad-input: the request itself is wrong (invalid address, unknown pair,
+ *   getLogs range too large), never retry as is
+ * - fatal: retrying can't help (bad API key, aborted), give up at once
+ */
+export const ErrorClass = {
+  TRANSIENT: 'transient',
+  RATE_LIMITED: 'rate-limited',
+  PROVIDER_FAULT: 'provider-fault',
+  REVERT: 'revert',
+  BAD_INPUT: 'bad-input',
+  FATAL: 'fatal',
+};
+
+/**
+ * Default retry policy per class (see BackoffRetry)
+ *
+ * `maxRetries: null` means the retrier's own limit.
+ */
+export const RETRY_POLICIES = {
+  [ErrorClass.TRANSIENT]: { retry: true, maxRetries: null },
+  [ErrorClass.RATE_LIMITED]: { retry: true, maxRetries: null },
+  [ErrorClass.PROVIDER_FAULT]: { retry: true, maxRetries: 2 },
+  [ErrorClass.REVERT]: { retry: false },
+  [ErrorClass.BAD_INPUT]: { retry: false },
+  [ErrorClass.FATAL]: { retry: false },
+};
+
+// Responses meaning "slow down" rather than "broken"
+export const RATE_LIMIT_PATTERN = /\b429\b|too many requests|rate limit|limit exceeded|exceeded .*(quota|capacity)/i;
+
+const TRANSIENT_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+const BAD_INPUT_CODES = ['INVALID_ARGUMENT', 'MISSING_ARGUMENT', 'UNEXPECTED_ARGUMENT', 'NUMERIC_FAULT', 'VALUE_MISMATCH'];
+const FATAL_CODES = ['UNSUPPORTED_OPERATION', 'NOT_IMPLEMENTED', 'UNCONFIGURED_NAME', 'ABORT_ERR', 'ERR_CANCELED'];
+
+const TRANSIENT_PATTERN = /timeout|timed out|socket hang up|network|fetch failed|ECONNRESET|ETIMEDOUT/i;
+const REVERT_PATTERN = /execution reverted|\breverted\b/i;
+const BAD_INPUT_PATTERN = /invalid (address|argument|params|hash)|invalid .*format/i;
+const PROVIDER_FAULT_PATTERN = /header not found|missing trie node|unknown block|pruned|internal error|bad gateway/i;
+
+/**
+ * Error carrying its class (and retry hint) explicitly
+ */
+export class ClassifiedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.errorClass - One of ErrorClass
+   * @param {number} [options.retryAfter] - Milliseconds the server asked to wait
+   * @param {number} [options.status] - HTTP status, if any
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { errorClass, retryAfter = null, status = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ClassifiedError';
+    this.errorClass = errorClass || ErrorClass.TRANSIENT;
+    this.retryAfter = retryAfter;
+    this.status = status;
+  }
+}
+
+/**
+ * Classify any error (ethers, axios, fetch, JSON-RPC, plain Error)
+ *
+ * @returns {{ errorClass: string, retryAfter: number|null }}
+ */
+export function classifyError(error) {
+  if (!error) {
+    return { errorClass: ErrorClass.TRANSIENT, retryAfter: null };
+  }
+
+  if (error.errorClass) {
+    return { errorClass: error.errorClass, retryAfter: error.retryAfter ?? null };
+  }
+
+  if (error.name === 'AbortError' || FATAL_CODES.includes(error.code)) {
+    return { errorClass: ErrorClass.FATAL, retryAfter: null };
+  }
+
+  if (error.code === 'CALL_EXCEPTION') {
+    return { errorClass: ErrorClass.REVERT, retryAfter: null };
+  }
+
+  // getLogs range limits reuse rate-limit codes and wordings; the caller
+  // narrows the range (ChunkedLogScanner), the endpoint is fine
+  if (isRangeError(error)) {
+    return { errorClass: ErrorClass.BAD_INPUT, retryAfter: null };
+  }
+
+  // JSON-RPC error object (ethers keeps it in error.error)
+  const rpcCode = error.error?.code;
+  if (rpcCode === -32005) {
+    return { errorClass: ErrorClass.RATE_LIMITED, retryAfter: null };
+  }
+  if (rpcCode === 3) {
+    return { errorClass: ErrorClass.REVERT, retryAfter: null };
+  }
+  if (rpcCode === -32602) {
+    return { errorClass: ErrorClass.BAD_INPUT, retryAfter: null };
+  }
+
+  const status = getStatus(error);
+  const details = [error.message, error.error?.message, error.info?.responseStatus].join(' ');
+
+  if (status === 429 || RATE_LIMIT_PATTERN.test(details)) {
+    return { errorClass: ErrorClass.RATE_LIMITED, retryAfter: getRetryAfter(error) };
+  }
+  if (status === 401 || status === 403) {
+    return { errorClass: ErrorClass.FATAL, retryAfter: null };
+  }
+  if (status === 408 || status === 502 || status === 503 || status === 504) {
+    return { errorClass: ErrorClass.TRANSIENT, retryAfter: getRetryAfter(error) };
+  }
+  if (status >= 500) {
+    return { errorClass: ErrorClass.PROVIDER_FAULT, retryAfter: null };
+  }
+  if (status >= 400) {
+    // An RPC endpoint answering 404 & co. is misconfigured, not the request
+    return { errorClass: error.code === 'SERVER_ERROR' ? ErrorClass.FATAL : ErrorClass.BAD_INPUT, retryAfter: null };
+  }
+
+  if (BAD_INPUT_CODES.includes(error.code) || BAD_INPUT_PATTERN.test(details)) {
+    return { errorClass: ErrorClass.BAD_INPUT, retryAfter: null };
+  }
+  if (REVERT_PATTERN.test(details)) {
+    return { errorClass: ErrorClass.REVERT, retryAfter: null };
+  }
+  if (TRANSIENT_CODES.includes(error.code) || TRANSIENT_PATTERN.test(details)) {
+    return { errorClass: ErrorClass.TRANSIENT, retryAfter: null };
+  }
+  if (error.code === 'SERVER_ERROR' || error.code === 'BAD_DATA' || PROVIDER_FAULT_PATTERN.test(details)) {
+    return { errorClass: ErrorClass.PROVIDER_FAULT, retryAfter: null };
+  }
+
+  // Unknown failures keep the old behaviour: retry
+  return { errorClass: ErrorClass.TRANSIENT, retryAfter: null };
+}
+
+/**
+ * Error for a non-2xx fetch() Response
+ */
+export function httpError(response, label = 'HTTP request') {
+  const { errorClass, retryAfter } = classifyError({ status: response.status });
+  return new ClassifiedError(`${label} failed: ${response.status} ${response.statusText}`.trim(), {
+    errorClass,
+    status: response.status,
+    retryAfter: errorClass === ErrorClass.RATE_LIMITED || errorClass === ErrorClass.TRANSIENT
+      ? parseRetryAfter(response.headers.get('retry-after'))
+      : retryAfter,
+  });
+}
+
+/**
+ * Retry-After header value (seconds or HTTP date) in milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Error for an aborted operation (signal.reason if the caller gave one)
+ */
+export function abortError(signal) {
+  if (signal?.reason instanceof Error) {
+    return signal.reason;
+  }
+  return new ClassifiedError('Operation aborted', { errorClass: ErrorClass.FATAL });
+}
+
+function getStatus(error) {
+  // axios / fetch wrappers / ClassifiedError-like objects
+  const status = error.response?.status ?? error.status;
+  if (typeof status === 'number') {
+    return status;
+  }
+
+  // ethers: "429 Too Many Requests"
+  const match = /^(\d{3})\b/.exec(error.info?.responseStatus || '');
+  return match ? Number(match[1]) : null;
+}
+
+function getRetryAfter(error) {
+  const headers = error.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  return parseRetryAfter(value);
+}
@@ -0,0 +1,45 @@
+import { ethers } from 'ethers';
+
+// Launch-related calldata for each factory flavor
+const V2_ROUTER_ABI = [
+  'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+  'function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable',
+];
+const SOLIDLY_ROUTER_ABI = [
+  'function addLiquidity(address tokenA, address tokenB, bool stable, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+  'function addLiquidityETH(address token, bool stable, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable',
+];
+const V2_FACTORY_ABI = ['function createPair(address tokenA, address tokenB)'];
+const SOLIDLY_FACTORY_ABI = ['function createPair(address tokenA, address tokenB, bool stable)'];
+const V3_FACTORY_ABI = ['function createPool(address tokenA, address tokenB, uint24 fee)'];
+
+/**
+ * Router interfaces by factory type (V3 liquidity goes through the
+ * position manager, not the swap router)
+ */
+export const ROUTER_INTERFACES = {
+  v2: new ethers.Interface(V2_ROUTER_ABI),
+  solidly: new ethers.Interface(SOLIDLY_ROUTER_ABI),
+};
+
+/**
+ * Factory interfaces by factory type
+ */
+export const FACTORY_INTERFACES = {
+  v2: new ethers.Interface(V2_FACTORY_ABI),
+  solidly: new ethers.Interface(SOLIDLY_FACTORY_ABI),
+  v3: new ethers.Interface(V3_FACTORY_ABI),
+};
+
+/**
+ * Decode transaction calldata, returning null if it doesn't match
+ *
+ * @returns {ethers.TransactionDescription|null}
+ */
+export function parseLaunchCalldata(iface, data, value = 0n) {
+  try {
+    return iface.parseTransaction({ data, value });
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,170 @@
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+
+// Multicall3 is deployed at the same address on every major chain
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// One batcher per provider so every service shares the same batches
+const batchers = new WeakMap();
+
+/**
+ * Shared Multicall3 batcher for a provider
+ */
+export function getMulticall(provider) {
+  if (!batchers.has(provider)) {
+    batchers.set(provider, new MulticallBatcher(provider));
+  }
+  return batchers.get(provider);
+}
+
+/**
+ * Multicall3 batcher
+ *
+ * View calls made within the same short window (MULTICALL_BATCH_WINDOW) are
+ * sent as one aggregate3 eth_call. Each call succeeds or fails on its own:
+ * a revert rejects only that call's promise.
+ *
+ * If Multicall3 is not deployed (or disabled), calls are sent individually;
+ * concurrent ones still share a JSON-RPC batch request (RPC_BATCH_MAX_COUNT).
+ */
+export class MulticallBatcher {
+  constructor(provider) {
+    this.provider = provider;
+    this.address = config.multicall?.address || MULTICALL3_ADDRESS;
+    this.enabled = config.multicall?.enabled !== false;
+    this.maxBatchSize = config.multicall?.maxBatchSize || 50;
+    this.batchWindow = config.multicall?.batchWindow ?? 10;
+    this.queue = []; // { contract, method, args, resolve, reject }
+    this.timer = null;
+
+    this.stats = {
+      calls: 0,
+      batches: 0,
+      fallbacks: 0,
+    };
+  }
+
+  /**
+   * Queue a view call and resolve with its decoded result
+   *
+   * @param {ethers.Contract} contract - Target contract (address + ABI)
+   * @param {string} method - Function name or signature
+   * @param {Array} args - Function arguments
+   * @returns {Promise<*>} Single return value, or the Result for multiple
+   */
+  call(contract, method, args = []) {
+    this.stats.calls++;
+
+    if (!this.enabled) {
+      return contract[method](...args);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ contract, method, args, resolve, reject });
+
+      if (this.queue.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.batchWindow);
+      }
+    });
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.length > 0) {
+      this.execute(this.queue.splice(0, this.maxBatchSize));
+    }
+  }
+
+  async execute(batch) {
+    // A single call gains nothing from the aggregate wrapper
+    if (batch.length === 1) {
+      this.callDirect(batch[0]);
+      return;
+    }
+
+    let calls;
+    try {
+      calls = batch.map(({ contract, method, args }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }));
+    } catch (error) {
+      // Bad arguments for one call: send them one by one so only it fails
+      batch.forEach(entry => this.callDirect(entry));
+      return;
+    }
+
+    let results;
+    try {
+      const data = await this.provider.call({
+        to: this.address,
+        data: multicallInterface.encodeFunctionData('aggregate3', [calls]),
+      });
+      [results] = multicallInterface.decodeFunctionResult('aggregate3', data);
+      this.stats.batches++;
+    } catch (error) {
+      await this.handleBatchFailure(error);
+      batch.forEach(entry => this.callDirect(entry));
+      return;
+    }
+
+    batch.forEach((entry, index) => {
+      const { success, returnData } = results[index];
+      if (!success) {
+        entry.reject(new Error(`${entry.method} reverted on ${entry.contract.target}`));
+        return;
+      }
+
+      try {
+        const decoded = entry.contract.interface.decodeFunctionResult(entry.method, returnData);
+        entry.resolve(decoded.length === 1 ? decoded[0] : decoded);
+      } catch (error) {
+        // Empty or malformed return data (e.g. not a contract)
+        entry.reject(error);
+      }
+    });
+  }
+
+  /**
+   * Disable batching for good if Multicall3 isn't deployed on this chain
+   */
+  async handleBatchFailure(error) {
+    this.stats.fallbacks++;
+
+    // Calling an address without code returns empty data (BAD_DATA)
+    if (error.code !== 'CALL_EXCEPTION' && error.code !== 'BAD_DATA') {
+      return;
+    }
+
+    try {
+      const code = await this.provider.getCode(this.address);
+      if (code === '0x') {
+        console.warn(`⚠️  Multicall3 not deployed at ${this.address}, sending calls individually`);
+        this.enabled = false;
+      }
+    } catch (lookupError) {
+      // Keep batching; the next batch will tell
+    }
+  }
+
+  callDirect({ contract, method, args, resolve, reject }) {
+    contract[method](...args).then(resolve, reject);
+  }
+
+  getStats() {
+    return { enabled: this.enabled, ...this.stats };
+  }
+}
@@ -0,0 +1,132 @@
+// Longest pause applied after repeated rate-limit responses
+const MAX_PENALTY_MS = 60000;
+
+/**
+ * Token bucket rate limiter with a daily request budget
+ *
+ * `take()` reserves the next token and waits until it is available, so
+ * callers queue up in order instead of failing. Tokens refill at
+ * `ratePerSecond` up to `burst`. A rate-limit response from the server
+ * (`penalize()`) pauses the bucket; consecutive ones double the pause.
+ *
+ * A rate of 0 disables the per-second limit, a budget of 0 the daily one.
+ */
+export class TokenBucket {
+  constructor({ ratePerSecond = 0, burst = null, dailyBudget = 0, penaltyMs = 1000 } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst || Math.max(1, ratePerSecond);
+    this.dailyBudget = dailyBudget;
+    this.basePenaltyMs = penaltyMs;
+
+    this.tokens = this.burst; // Negative while callers are queued
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.penaltyMs = penaltyMs;
+    this.waiting = 0;
+
+    this.day = this.currentDay();
+    this.usedToday = 0;
+
+    this.stats = {
+      taken: 0,
+      delayed: 0,
+      totalDelayMs: 0,
+      penalties: 0,
+    };
+  }
+
+  currentDay() {
+    return new Date().toISOString().slice(0, 10); // UTC date
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.ratePerSecond > 0) {
+      const refilled = ((now - this.lastRefill) / 1000) * this.ratePerSecond;
+      this.tokens = Math.min(this.burst, this.tokens + refilled);
+    }
+    this.lastRefill = now;
+
+    const day = this.currentDay();
+    if (day !== this.day) {
+      this.day = day;
+      this.usedToday = 0;
+    }
+  }
+
+  /**
+   * Whether today's budget is used up (resets at 00:00 UTC)
+   */
+  get exhausted() {
+    this.refill();
+    return this.dailyBudget > 0 && this.usedToday >= this.dailyBudget;
+  }
+
+  /**
+   * How long a request taken now would have to wait (ms)
+   */
+  getDelay() {
+    this.refill();
+    const pause = Math.max(0, this.pausedUntil - Date.now());
+    if (this.ratePerSecond <= 0 || this.tokens >= 1) {
+      return pause;
+    }
+    return Math.max(pause, Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+  }
+
+  /**
+   * Reserve a token, waiting for it if needed
+   */
+  async take() {
+    const delay = this.getDelay();
+    if (this.ratePerSecond > 0) {
+      this.tokens -= 1;
+    }
+    this.usedToday++;
+    this.stats.taken++;
+
+    if (delay > 0) {
+      this.stats.delayed++;
+      this.stats.totalDelayMs += delay;
+      this.waiting++;
+      try {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        this.waiting--;
+      }
+    }
+  }
+
+  /**
+   * The server answered with a rate-limit error: pause the bucket
+   *
+   * @param {number|null} retryAfterMs - Server-provided delay, if any
+   */
+  penalize(retryAfterMs = null) {
+    const pause = retryAfterMs ?? this.penaltyMs;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+    this.penaltyMs = Math.min(this.penaltyMs * 2, MAX_PENALTY_MS);
+    this.stats.penalties++;
+  }
+
+  /**
+   * A request went through: reset the penalty escalation
+   */
+  reward() {
+    this.penaltyMs = this.basePenaltyMs;
+  }
+
+  getStats() {
+    return {
+      ratePerSecond: this.ratePerSecond,
+      dailyBudget: this.dailyBudget,
+      usedToday: this.usedToday,
+      waiting: this.waiting,
+      taken: this.stats.taken,
+      delayed: this.stats.delayed,
+      avgDelayMs: this.stats.delayed > 0 ? Math.round(this.stats.totalDelayMs / this.stats.delayed) : 0,
+      penalties: this.stats.penalties,
+      pausedMs: Math.max(0, this.pausedUntil - Date.now()),
+    };
+  }
+}
@@ -0,0 +1,35 @@
+import Redis from 'ioredis';
+import { config } from '../config.js';
+
+/**
+ * Open a Redis connection using the same retry policy as the price cache.
+ *
+ * Returns a connected client, or null when Redis is not configured or
+ * unreachable so callers can fall back to their local storage.
+ */
+export async function createRedisClient(url = config.redis?.url, label = 'Redis') {
+  if (!url) {
+    return null;
+  }
+
+  const redis = new Redis(url, {
+    maxRetriesPerRequest: 3,
+    retryStrategy(times) {
+      if (times > 3) {
+        return null; // Stop retrying
+      }
+      return Math.min(times * 200, 1000);
+    },
+    lazyConnect: true,
+  });
+
+  try {
+    await redis.connect();
+    await redis.ping();
+    return redis;
+  } catch (error) {
+    console.warn(`   ⚠️  ${label} connection failed:`, error.message);
+    redis.disconnect();
+    return null;
+  }
+}
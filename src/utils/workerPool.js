@@ -0,0 +1,104 @@
+/**
+ * Bounded worker pool with a priority queue
+ *
+ * At most `concurrency` tasks run at once; the rest wait in the queue and
+ * start highest priority first (FIFO among equal priorities). Tracks queue
+ * depth, wait time and run time for monitoring.
+ */
+export class WorkerPool {
+  constructor(name, concurrency = 1) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.queue = []; // { task, priority, sequence, enqueuedAt, resolve, reject }
+    this.active = 0;
+    this.sequence = 0;
+
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      maxDepth: 0,
+      totalWaitMs: 0,
+      totalRunMs: 0,
+      maxRunMs: 0,
+    };
+  }
+
+  /**
+   * Queue a task and resolve with its result once it has run
+   *
+   * @param {Function} task - async () => result
+   * @param {number} priority - Higher runs first
+   */
+  run(task, priority = 0) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        priority,
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+      };
+
+      // Insert after every job with the same or higher priority
+      const index = this.queue.findIndex(queued => queued.priority < priority);
+      if (index === -1) {
+        this.queue.push(job);
+      } else {
+        this.queue.splice(index, 0, job);
+      }
+
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.queue.length);
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+      this.execute(job);
+    }
+  }
+
+  async execute(job) {
+    const startedAt = Date.now();
+    this.stats.totalWaitMs += startedAt - job.enqueuedAt;
+
+    try {
+      const result = await job.task();
+      this.stats.processed++;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      job.reject(error);
+    } finally {
+      const runMs = Date.now() - startedAt;
+      this.stats.totalRunMs += runMs;
+      this.stats.maxRunMs = Math.max(this.stats.maxRunMs, runMs);
+      this.active--;
+      this.next();
+    }
+  }
+
+  get depth() {
+    return this.queue.length;
+  }
+
+  getStats() {
+    const completed = this.stats.processed + this.stats.failed;
+
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      depth: this.queue.length,
+      active: this.active,
+      processed: this.stats.processed,
+      failed: this.stats.failed,
+      maxDepth: this.stats.maxDepth,
+      avgWaitMs: completed > 0 ? Math.round(this.stats.totalWaitMs / completed) : 0,
+      avgRunMs: completed > 0 ? Math.round(this.stats.totalRunMs / completed) : 0,
+      maxRunMs: this.stats.maxRunMs,
+    };
+  }
+}
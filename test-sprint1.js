@@ -5,8 +5,10 @@
  * 
  * Verifies that all new services can be imported and initialized.
  * This is a basic smoke test to ensure the implementation is working.
+ * The pure utilities behind the services are checked with assertions.
  */
 
+import assert from 'node:assert/strict';
 import { config } from './src/config.js';
 
 console.log('🧪 Testing Sprint 1 Services...\n');
@@ -52,6 +54,395 @@ try {
   const pairMonitor = new PairMonitorV2Service();
   console.log('   ✅ PairMonitorV2Service instantiated');
   
+  // Test: getLogs range errors and adaptive chunking
+  console.log('\n🧪 Testing ChunkedLogScanner...');
+  const { ChunkedLogScanner, isRangeError } = await import('./src/utils/chunkedLogs.js');
+
+  for (const message of [
+    'block range is too large',
+    'eth_getLogs block range limit exceeded',
+    'exceed maximum block range: 5000',
+    'query returned more than 10000 results',
+    'Log response size exceeded',
+    'eth_getLogs is limited to a 10,000 block range',
+  ]) {
+    assert.equal(isRangeError(new Error(message)), true, `"${message}" is a range error`);
+  }
+  assert.equal(isRangeError({ error: { code: -32005, message: 'query returned more than 10000 results' } }), true);
+  for (const message of ['invalid block range', 'fromBlock 10 is greater than toBlock 5', 'execution reverted']) {
+    assert.equal(isRangeError(new Error(message)), false, `"${message}" is not a range error`);
+  }
+  console.log('   ✅ Range errors recognized, invalid ranges left alone');
+
+  const scanner = new ChunkedLogScanner({ initialChunkSize: 100, minChunkSize: 10, maxChunkSize: 150, growthFactor: 1.5 });
+  const queried = [];
+  const completed = [];
+  const lastCompleted = await scanner.scan(
+    1,
+    300,
+    async (from, to) => {
+      queried.push([from, to]);
+      if (to - from + 1 > 50) {
+        throw new Error('block range too large');
+      }
+      return [];
+    },
+    async (logs, from, to) => completed.push([from, to])
+  );
+  assert.deepEqual(queried.slice(0, 3), [[1, 100], [1, 50], [51, 125]], 'should halve on a range error, then grow back');
+  assert.equal(lastCompleted, 300);
+  assert.ok(completed.every(([from], i) => i === 0 || from === completed[i - 1][1] + 1), 'chunks should be contiguous');
+  assert.equal(completed[0][0], 1);
+
+  const growing = new ChunkedLogScanner({ initialChunkSize: 100, minChunkSize: 10, maxChunkSize: 150, growthFactor: 1.5 });
+  const sizes = [];
+  await growing.scan(1, 1000, async () => [], async (logs, from, to) => sizes.push(to - from + 1));
+  assert.deepEqual(sizes.slice(0, 3), [100, 150, 150], 'should grow after success, capped at maxChunkSize');
+
+  const floor = new ChunkedLogScanner({ initialChunkSize: 20, minChunkSize: 10, maxChunkSize: 20 });
+  await assert.rejects(
+    floor.scan(1, 100, async () => { throw new Error('block range too large'); }, async () => {}),
+    /block range too large/,
+    'should give up at minChunkSize'
+  );
+
+  const stopping = new ChunkedLogScanner({ initialChunkSize: 10, minChunkSize: 10, maxChunkSize: 10 });
+  const stoppedAt = await stopping.scan(1, 100, async () => [], async (logs, from) => from < 21);
+  assert.equal(stoppedAt, 30, 'onChunk returning false should stop the scan');
+  console.log('   ✅ Chunks halve on range errors, grow back, stop on request');
+  
+  // Test: Reorg detection and rewind
+  console.log('\n🧪 Testing ReorgTracker...');
+  const { ReorgTracker } = await import('./src/services/reorgTracker.js');
+
+  const chain = new Map([[100, '0xa'], [101, '0xb'], [102, '0xc'], [103, '0xd']]);
+  const getBlockHash = async blockNumber => chain.get(blockNumber) ?? null;
+  const tracker = new ReorgTracker({ window: 10 });
+  for (const [blockNumber, hash] of chain) {
+    tracker.recordBlock(blockNumber, hash);
+  }
+  tracker.recordPair('0xPairA', { blockNumber: 101, blockHash: '0xb' });
+  tracker.recordPair('0xPairB', { blockNumber: 103, blockHash: '0xd' });
+  tracker.recordPair('0xPairC', { blockNumber: 104, blockHash: '0xe', unconfirmed: true });
+  assert.equal(await tracker.detectReorg(103, getBlockHash), null, 'same chain is no reorg');
+  assert.equal(tracker.blockHashes.has(104), false, 'unconfirmed blocks are not recorded');
+  assert.deepEqual(tracker.getUnconfirmedPairs(104).map(pair => pair.pairAddress), ['0xPairC']);
+  console.log('   ✅ Unchanged chain passes, unconfirmed pairs are kept apart');
+
+  chain.set(102, '0xc2');
+  chain.set(103, '0xd2');
+  const reorg = await tracker.detectReorg(103, getBlockHash);
+  assert.equal(reorg.commonAncestor, 101, 'common ancestor is the newest matching block');
+  assert.deepEqual(reorg.pairs.map(pair => pair.pairAddress).sort(), ['0xPairB', '0xPairC'], 'pairs above the ancestor are dropped');
+  assert.deepEqual([...tracker.blockHashes.keys()].sort(), [100, 101]);
+  assert.equal(tracker.pairs.has('0xpaira'), true);
+  console.log('   ✅ Reorg rewinds to the common ancestor and drops orphaned pairs');
+
+  chain.set(100, '0xa2');
+  chain.set(101, '0xb2');
+  const deepReorg = await tracker.detectReorg(101, getBlockHash);
+  assert.equal(deepReorg.commonAncestor, 99, 'reorg deeper than the window rewinds below the oldest tracked block');
+  assert.deepEqual(deepReorg.pairs.map(pair => pair.pairAddress), ['0xPairA']);
+
+  tracker.recordBlock(200, '0xf');
+  tracker.recordBlock(215, '0xg');
+  tracker.recordPair('0xPairD', { blockNumber: 200, blockHash: '0xf' });
+  tracker.prune(215);
+  assert.deepEqual([...tracker.blockHashes.keys()], [215], 'blocks outside the window are pruned');
+  assert.equal(tracker.pairs.size, 0, 'pairs outside the window are pruned');
+  console.log('   ✅ Deep reorgs rewind past the window, old entries are pruned');
+  
+  // Test: Solidly stable-curve spot price
+  console.log('\n🧪 Testing Solidly stable-curve pricing...');
+  const stableCurve = new LiquidityFilterV2Service({}, priceCache, volumeAnalyzer); // Pure math, no RPC
+  const spot = (x, y) => stableCurve.getStableSpotPrice(x, y);
+  const close = (actual, expected, label) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+
+  close(spot(1000000, 1000000), 1, 'balanced pool');
+  close(spot(2, 1), 13 / 14, 'x=2, y=1 on x³y + y³x');
+  close(spot(2, 1) * spot(1, 2), 1, 'price in the other direction is the inverse');
+  assert.ok(spot(1100000, 900000) > 900000 / 1100000, 'flatter than constant product near the peg');
+  assert.ok(spot(1100000, 900000) < 1, 'more token0 in the pool makes it cheaper');
+  assert.equal(spot(0, 0), 0, 'empty pool');
+  console.log('   ✅ Stable curve prices near the peg and inverts consistently');
+  
+  // Test: In-memory dedupe TTL and LRU eviction
+  console.log('\n🧪 Testing DedupeStoreService in-memory claims...');
+  const { DedupeStoreService } = await import('./src/services/dedupeStore.js');
+
+  const dedupe = new DedupeStoreService({ useRedis: false });
+  dedupe.ttl = 1000;
+  dedupe.maxEntries = 3;
+  assert.equal(dedupe.claimInMemory('seen:a', 0), true, 'first claim wins');
+  assert.equal(dedupe.claimInMemory('seen:a', 500), false, 'claimed within the TTL');
+  assert.equal(dedupe.claimInMemory('seen:a', 1000), true, 'claim expires after the TTL');
+  console.log('   ✅ Claims expire after the TTL');
+
+  dedupe.claimInMemory('seen:b', 1100);
+  dedupe.claimInMemory('seen:c', 1200);
+  dedupe.claimInMemory('seen:a', 1300); // Touch: a becomes most recently used
+  dedupe.claimInMemory('seen:d', 1400);
+  assert.deepEqual([...dedupe.memoryStore.keys()], ['seen:c', 'seen:a', 'seen:d'], 'least recently used entry is evicted');
+  assert.equal(dedupe.claimInMemory('seen:b', 1500), true, 'evicted entry can be claimed again');
+
+  await dedupe.release('seen', 'D');
+  assert.equal(dedupe.claimInMemory('seen:d', 1600), true, 'released entry can be claimed again');
+  console.log('   ✅ Least recently used entries are evicted beyond the cap');
+  
+  // Test: Launch calldata and initial liquidity decoding
+  console.log('\n🧪 Testing launch calldata decoding...');
+  const { ethers } = await import('ethers');
+  const { ROUTER_INTERFACES, FACTORY_INTERFACES, parseLaunchCalldata } = await import('./src/utils/launchCalldata.js');
+  const { InitialLiquidityService } = await import('./src/services/initialLiquidity.js');
+
+  const tokenA = '0x1111111111111111111111111111111111111111';
+  const tokenB = '0x2222222222222222222222222222222222222222';
+  const lpOwner = '0x3333333333333333333333333333333333333333';
+  const deadline = 2000000000n;
+
+  const addLiquidityETH = ROUTER_INTERFACES.v2.encodeFunctionData('addLiquidityETH', [tokenA, 1000n, 900n, 5n, lpOwner, deadline]);
+  const parsedETH = parseLaunchCalldata(ROUTER_INTERFACES.v2, addLiquidityETH, 10n ** 18n);
+  assert.equal(parsedETH.name, 'addLiquidityETH');
+  assert.equal(parsedETH.args.token, tokenA);
+  assert.equal(parsedETH.args.amountTokenDesired, 1000n);
+
+  const solidlyAdd = ROUTER_INTERFACES.solidly.encodeFunctionData('addLiquidity', [tokenA, tokenB, true, 10n, 20n, 9n, 19n, lpOwner, deadline]);
+  const parsedSolidly = parseLaunchCalldata(ROUTER_INTERFACES.solidly, solidlyAdd);
+  assert.equal(parsedSolidly.args.stable, true);
+  assert.equal(parsedSolidly.args.amountBDesired, 20n);
+
+  const createPool = FACTORY_INTERFACES.v3.encodeFunctionData('createPool', [tokenA, tokenB, 3000]);
+  assert.equal(parseLaunchCalldata(FACTORY_INTERFACES.v3, createPool).args.fee, 3000n);
+
+  assert.equal(parseLaunchCalldata(ROUTER_INTERFACES.v2, solidlyAdd), null, 'other flavors do not decode');
+  assert.equal(parseLaunchCalldata(ROUTER_INTERFACES.v2, '0x1234'), null, 'garbage does not decode');
+  console.log('   ✅ Router and factory calldata decode per flavor');
+
+  const router = '0x10ED43C718714eb63d5aA57B78B54704E256024E';
+  const initialLiquidity = new InitialLiquidityService(null, [{ type: 'v2', address: tokenB, router }]);
+  assert.equal(initialLiquidity.decodeRouterAction({ to: router.toLowerCase(), data: addLiquidityETH, value: 1n }), 'addLiquidityETH');
+  assert.equal(initialLiquidity.decodeRouterAction({ to: tokenA, data: addLiquidityETH }), null, 'unknown router');
+
+  const pairAddress = '0x4444444444444444444444444444444444444444';
+  const mintEvent = new ethers.Interface(['event Mint(address indexed sender, uint256 amount0, uint256 amount1)']).getEvent('Mint');
+  const receipt = {
+    logs: [
+      { address: tokenA, topics: [ethers.id('Transfer(address,address,uint256)')], data: '0x' },
+      {
+        address: pairAddress.toUpperCase().replace('0X', '0x'),
+        topics: [mintEvent.topicHash, ethers.zeroPadValue(router, 32)],
+        data: ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [5000n, 7n]),
+      },
+    ],
+  };
+  assert.deepEqual(initialLiquidity.findMint(receipt, pairAddress), { amount0: 5000n, amount1: 7n });
+  assert.equal(initialLiquidity.findMint({ logs: [] }, pairAddress), null);
+  console.log('   ✅ Initial liquidity router action and Mint amounts decode');
+  
+  // Test: Pending launch decoding (mempool watcher)
+  console.log('\n🧪 Testing pending launch decoding...');
+  const { MempoolWatcherService } = await import('./src/services/mempoolWatcher.js');
+
+  const v2Dex = { type: 'v2', name: 'Test V2', address: tokenB, router };
+  const mempool = new MempoolWatcherService(null, [v2Dex]);
+  const routerTarget = mempool.targets.get(router.toLowerCase());
+  const factoryTarget = mempool.targets.get(tokenB.toLowerCase());
+  assert.equal(routerTarget.kind, 'router');
+  assert.equal(factoryTarget.kind, 'factory');
+
+  const launchETH = mempool.decodeLaunch({ hash: '0x01', from: lpOwner, data: addLiquidityETH, value: 3n }, routerTarget);
+  assert.equal(launchETH.action, 'addLiquidityETH');
+  assert.equal(launchETH.tokenA, tokenA);
+  assert.equal(launchETH.tokenB, null, 'wrapped native token is resolved later');
+  assert.equal(launchETH.amountA, 1000n);
+  assert.equal(launchETH.amountB, 3n, 'native amount is the value sent');
+
+  const addLiquidity = ROUTER_INTERFACES.v2.encodeFunctionData('addLiquidity', [tokenA, tokenB, 10n, 20n, 9n, 19n, lpOwner, deadline]);
+  const launch = mempool.decodeLaunch({ hash: '0x02', from: lpOwner, data: addLiquidity, value: 0n }, routerTarget);
+  assert.deepEqual([launch.tokenA, launch.tokenB, launch.amountA, launch.amountB], [tokenA, tokenB, 10n, 20n]);
+  assert.equal(launch.stable, null);
+
+  const createPair = FACTORY_INTERFACES.v2.encodeFunctionData('createPair', [tokenA, tokenB]);
+  const created = mempool.decodeLaunch({ hash: '0x03', from: lpOwner, data: createPair, value: 0n }, factoryTarget);
+  assert.deepEqual([created.action, created.tokenA, created.tokenB, created.amountA], ['createPair', tokenA, tokenB, null]);
+
+  const swap = new ethers.Interface(['function swapExactETHForTokens(uint256, address[], address, uint256)'])
+    .encodeFunctionData('swapExactETHForTokens', [0n, [tokenA], lpOwner, deadline]);
+  assert.equal(mempool.decodeLaunch({ hash: '0x04', from: lpOwner, data: swap, value: 1n }, routerTarget), null, 'swaps are not launches');
+  console.log('   ✅ Router and factory launches decode, swaps are ignored');
+  
+  // Test: Token bucket refill, queueing and penalties
+  console.log('\n🧪 Testing TokenBucket...');
+  const { TokenBucket } = await import('./src/utils/rateLimiter.js');
+
+  const bucket = new TokenBucket({ ratePerSecond: 10, burst: 2 });
+  await bucket.take();
+  await bucket.take();
+  const firstDelay = bucket.getDelay();
+  assert.ok(firstDelay > 0 && firstDelay <= 100, `empty bucket should wait up to one refill (got ${firstDelay}ms)`);
+  const queued = bucket.take();
+  const secondDelay = bucket.getDelay();
+  assert.ok(secondDelay > 100 && secondDelay <= 200, `next caller should queue behind the waiting one (got ${secondDelay}ms)`);
+  await queued;
+  console.log('   ✅ Empty bucket queues callers in order');
+
+  const refilled = new TokenBucket({ ratePerSecond: 10, burst: 2 });
+  await refilled.take();
+  await refilled.take();
+  refilled.lastRefill -= 1000;
+  assert.equal(refilled.getDelay(), 0);
+  assert.equal(refilled.tokens, 2, 'refill should be capped at burst');
+  console.log('   ✅ Tokens refill up to burst');
+
+  const budget = new TokenBucket({ dailyBudget: 2 });
+  await budget.take();
+  assert.equal(budget.exhausted, false);
+  await budget.take();
+  assert.equal(budget.exhausted, true, 'daily budget should be used up');
+  console.log('   ✅ Daily budget is enforced');
+
+  const penalized = new TokenBucket({ penaltyMs: 1000 });
+  penalized.penalize();
+  assert.ok(penalized.getDelay() > 900, 'penalty should pause the bucket');
+  assert.equal(penalized.penaltyMs, 2000, 'consecutive penalties should double');
+  penalized.penalize(5000);
+  assert.ok(penalized.getDelay() > 4900, 'Retry-After should set the pause');
+  penalized.reward();
+  assert.equal(penalized.penaltyMs, 1000, 'success should reset the escalation');
+  console.log('   ✅ Penalties pause and escalate, success resets them');
+  
+  // Test: Circuit breaker transitions
+  console.log('\n🧪 Testing CircuitBreaker...');
+  const { CircuitBreaker } = await import('./src/utils/circuitBreaker.js');
+
+  const transitions = [];
+  const breaker = new CircuitBreaker({
+    errorThreshold: 0.5,
+    minRequests: 4,
+    halfLife: Infinity, // No decay between calls: counts stay exact
+    coolDown: 1000,
+    maxCoolDown: 3000,
+    onTransition: ({ from, to }) => transitions.push(`${from}→${to}`),
+  });
+  breaker.recordSuccess();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'closed', 'should stay closed below minRequests');
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open', 'should open at the error threshold');
+  assert.equal(breaker.allowsRequest(), false);
+  console.log('   ✅ Opens at the error threshold');
+
+  const expireCoolDown = () => { breaker.openedAt -= breaker.coolDown; };
+  expireCoolDown();
+  assert.equal(breaker.allowsRequest(), true, 'should let a probe through after the cool-down');
+  assert.equal(breaker.state, 'half-open');
+  breaker.onRequest();
+  assert.equal(breaker.allowsRequest(), false, 'only one probe at a time');
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.coolDown, 2000, 'failed probe should double the cool-down');
+  expireCoolDown();
+  breaker.allowsRequest();
+  breaker.onRequest();
+  breaker.recordFailure();
+  assert.equal(breaker.coolDown, 3000, 'cool-down should be capped at maxCoolDown');
+  console.log('   ✅ Failed probes re-open with a doubled cool-down');
+
+  expireCoolDown();
+  breaker.allowsRequest();
+  breaker.onRequest();
+  breaker.release();
+  assert.equal(breaker.allowsRequest(), true, 'released probe should free the slot');
+  breaker.onRequest();
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed', 'successful probe should close');
+  assert.equal(breaker.coolDown, 1000, 'closing should reset the cool-down');
+  assert.deepEqual(transitions, [
+    'closed→open', 'open→half-open', 'half-open→open',
+    'open→half-open', 'half-open→open', 'open→half-open', 'half-open→closed',
+  ]);
+  console.log('   ✅ Successful probe closes and resets the cool-down');
+  
+  // Test: Error classification
+  console.log('\n🧪 Testing classifyError...');
+  const { classifyError, ClassifiedError, ErrorClass, parseRetryAfter } = await import('./src/utils/errors.js');
+
+  const errorTable = [
+    [{ code: 'CALL_EXCEPTION', message: 'execution reverted' }, ErrorClass.REVERT],
+    [{ error: { code: 3, message: 'execution reverted: TRANSFER_FAILED' } }, ErrorClass.REVERT],
+    [{ error: { code: -32005, message: 'limit exceeded' } }, ErrorClass.RATE_LIMITED],
+    [{ error: { code: -32602, message: 'invalid params' } }, ErrorClass.BAD_INPUT],
+    [{ error: { code: -32005, message: 'query returned more than 10000 results' } }, ErrorClass.BAD_INPUT],
+    [new Error('eth_getLogs block range limit exceeded'), ErrorClass.BAD_INPUT],
+    [new Error('block range is too large'), ErrorClass.BAD_INPUT],
+    [new Error('Log response size exceeded'), ErrorClass.BAD_INPUT],
+    [{ response: { status: 429, headers: { 'retry-after': '2' } } }, ErrorClass.RATE_LIMITED],
+    [{ code: 'SERVER_ERROR', info: { responseStatus: '429 Too Many Requests' } }, ErrorClass.RATE_LIMITED],
+    [{ status: 401 }, ErrorClass.FATAL],
+    [{ status: 503 }, ErrorClass.TRANSIENT],
+    [{ status: 500 }, ErrorClass.PROVIDER_FAULT],
+    [{ status: 404 }, ErrorClass.BAD_INPUT],
+    [{ code: 'SERVER_ERROR', info: { responseStatus: '404 Not Found' } }, ErrorClass.FATAL],
+    [{ code: 'INVALID_ARGUMENT', message: 'invalid address' }, ErrorClass.BAD_INPUT],
+    [{ code: 'ECONNRESET', message: 'socket hang up' }, ErrorClass.TRANSIENT],
+    [new Error('Request timeout'), ErrorClass.TRANSIENT],
+    [new Error('missing trie node abc (path )'), ErrorClass.PROVIDER_FAULT],
+    [{ name: 'AbortError', message: 'This operation was aborted' }, ErrorClass.FATAL],
+    [new ClassifiedError('NOTOK', { errorClass: ErrorClass.BAD_INPUT }), ErrorClass.BAD_INPUT],
+    [new Error('something unexpected'), ErrorClass.TRANSIENT],
+    [null, ErrorClass.TRANSIENT],
+  ];
+  for (const [error, expected] of errorTable) {
+    assert.equal(classifyError(error).errorClass, expected, `${error instanceof Error ? error.message : JSON.stringify(error)} should be ${expected}`);
+  }
+  console.log(`   ✅ ${errorTable.length} errors classified as expected`);
+
+  assert.equal(classifyError({ response: { status: 429, headers: { 'retry-after': '2' } } }).retryAfter, 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('0'), 0);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) > 8000, 'HTTP-date Retry-After');
+  assert.equal(parseRetryAfter('soon'), null);
+  console.log('   ✅ Retry-After parsed from seconds and HTTP dates');
+  
+  // Test: Weighted median of reference pool prices
+  console.log('\n🧪 Testing weightedMedian...');
+  const { weightedMedian } = await import('./src/services/onChainPrice.js');
+
+  assert.equal(weightedMedian([{ value: 600, weight: 1 }]), 600, 'single pool');
+  assert.equal(weightedMedian([
+    { value: 602, weight: 1 }, { value: 598, weight: 1 }, { value: 600, weight: 1 },
+  ]), 600, 'equal weights, unsorted input');
+  assert.equal(weightedMedian([
+    { value: 598, weight: 5 }, { value: 602, weight: 5 },
+  ]), 600, 'exactly half: midpoint of the two values');
+  assert.equal(weightedMedian([
+    { value: 600, weight: 5000000 }, { value: 601, weight: 3000000 }, { value: 6000, weight: 1000 },
+  ]), 600, 'thin outlier pool is ignored');
+  assert.equal(weightedMedian([
+    { value: 590, weight: 1 }, { value: 600, weight: 10 }, { value: 610, weight: 1 },
+  ]), 600, 'dominant pool wins');
+  const entries = [{ value: 2, weight: 1 }, { value: 1, weight: 1 }, { value: 3, weight: 1 }];
+  weightedMedian(entries);
+  assert.deepEqual(entries.map(entry => entry.value), [2, 1, 3], 'input should not be reordered');
+  console.log('   ✅ Median follows liquidity, ignores thin pools');
+  
+  // Test: Chainlink stablecoin prices reach token pricing
+  console.log('\n🧪 Testing Chainlink stablecoin prices...');
+  const stablePricing = new PriceCacheV2Service();
+  const [usdcAddress] = Object.entries(config.priceCache.stablecoins)
+    .find(([, token]) => token.symbol === 'USDC');
+  stablePricing.fetchBNBPrice = async () => null; // No network
+  stablePricing.chainlink = { fetchStablePrices: async () => ({ USDC: 0.97 }) };
+  await stablePricing.updatePrices();
+  assert.equal(await stablePricing.getTokenPriceUSD(usdcAddress), 0.97, 'Chainlink USDC price should be used');
+  assert.equal(await stablePricing.getTokenPriceUSD(usdcAddress.toUpperCase().replace('0X', '0x')), 0.97, 'lookup should ignore address case');
+  stablePricing.chainlink = { fetchStablePrices: async () => ({}) };
+  await stablePricing.updatePrices();
+  assert.equal(await stablePricing.getTokenPriceUSD(usdcAddress), 1, 'failed feed should fall back to $1');
+  console.log(`   ✅ Stablecoin feed prices reach getTokenPriceUSD (chain ${config.chainId})`);
+  
   console.log('\n✅ All tests passed!');
   console.log('\n📋 Sprint 1 Services Summary:');
   console.log('   • MultiRPCProviderService - Multi-RPC failover');